@@ -0,0 +1,89 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Review statuses that still need a reviewer's attention
+const OPEN_STATUSES = new Set(["pending", "needsInfo"]);
+
+function isOpen(record) {
+  return OPEN_STATUSES.has(record.review?.status || "pending");
+}
+
+/**
+ * Pick the reviewers of a new response from a form's pool. Round-robin
+ * continues after the reviewers of the last assigned response; least-loaded
+ * prefers the reviewers with the fewest open responses, in round-robin order
+ * when they are tied.
+ * @param {Object} settings - Form's reviewers settings
+ * @param {string[]} settings.pool - Discord user IDs of the reviewers
+ * @param {number} settings.count - Reviewers per response
+ * @param {string} settings.strategy - "round-robin" or "least-loaded"
+ * @param {Object[]} records - Response records of the form
+ * @returns {string[]} - Discord user IDs of the picked reviewers
+ */
+function pickReviewers({ pool, count, strategy }, records) {
+  const assigned = records
+    .filter((record) => record.assignment?.reviewerIds.length > 0)
+    .sort((a, b) =>
+      a.assignment.assignedAt.localeCompare(b.assignment.assignedAt)
+    );
+
+  const last = assigned.at(-1)?.assignment.reviewerIds.at(-1);
+  const start = last ? pool.indexOf(last) + 1 : 0;
+  const rotation = pool.map((_, index) => pool[(start + index) % pool.length]);
+
+  if (strategy === "least-loaded") {
+    const load = new Map(pool.map((userId) => [userId, 0]));
+    for (const record of assigned.filter(isOpen)) {
+      for (const userId of record.assignment.reviewerIds) {
+        if (load.has(userId)) {
+          load.set(userId, load.get(userId) + 1);
+        }
+      }
+    }
+    // Array sort is stable, so ties keep the round-robin order
+    rotation.sort((a, b) => load.get(a) - load.get(b));
+  }
+
+  return rotation.slice(0, count);
+}
+
+/**
+ * Decide whether an open response needs a reminder or an escalation, based
+ * on how long its thread has been without a post
+ * @param {Object} record - Response record with an assignment
+ * @param {Object} settings - Form's reviewers settings
+ * @param {number|null} settings.remindAfter - Idle days before a reminder
+ * @param {number|null} settings.escalateAfter - Idle days before escalating
+ * @param {number} lastActivity - Time of the last post in the thread (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {string|null} - "remind", "escalate" or null
+ */
+function getOverdueAction(
+  record,
+  { remindAfter, escalateAfter },
+  lastActivity,
+  now
+) {
+  if (!isOpen(record) || !record.assignment) {
+    return null;
+  }
+
+  const idle = now - lastActivity;
+  // Each reminder and escalation is sent once per quiet spell
+  const sentSince = (time) => Boolean(time) && Date.parse(time) > lastActivity;
+  const { remindedAt, escalatedAt } = record.assignment;
+
+  if (escalateAfter && idle >= escalateAfter * DAY && !sentSince(escalatedAt)) {
+    return "escalate";
+  }
+  if (
+    remindAfter &&
+    idle >= remindAfter * DAY &&
+    !sentSince(remindedAt) &&
+    !sentSince(escalatedAt)
+  ) {
+    return "remind";
+  }
+  return null;
+}
+
+module.exports = { pickReviewers, getOverdueAction, isOpen };
@@ -6,72 +6,171 @@ const {
   Client,
   GatewayIntentBits,
   ChannelType,
-  ActionRowBuilder,
-  ButtonBuilder,
-  ButtonStyle,
+  AttachmentBuilder,
   SlashCommandBuilder,
   REST,
   Routes,
-  PermissionFlagsBits,
+  RESTJSONErrorCodes,
 } = require("discord.js");
 const winston = require("winston");
-const { decodeAddress, encodeAddress } = require("@polkadot/util-crypto");
+const { logger, guildContext, logToFile } = require("./logger");
+const { createResponseStore } = require("./storage");
+const {
+  RetryPolicy,
+  PermanentError,
+  isRetryable,
+  getFailureReason,
+} = require("./retry");
+const { NotificationServer } = require("./push/server");
+const { WatchManager } = require("./push/watches");
+const { FormScheduler } = require("./scheduler");
+const { buildStatusEmbeds } = require("./status");
+const {
+  searchResponses,
+  buildSearchPage,
+  parseSearchAction,
+} = require("./search");
+const { MetricsRegistry } = require("./monitoring/metrics");
+const { HealthServer } = require("./monitoring/server");
+const { FileDownloader, groupAttachments } = require("./files");
+const {
+  truncate,
+  getQuestionIds,
+  buildTemplateContext,
+  buildThreadContent,
+  getMessageLength,
+  diffResponses,
+  formatResponseDiff,
+  getFileIds,
+  formatResponse,
+} = require("./format");
+const {
+  REVIEW_ACTIONS,
+  parseReviewAction,
+  applyReviewAction,
+} = require("./review");
+const { Notifier } = require("./notify");
+const { SmtpTransport } = require("./notify/smtp");
+const { DiscordDmTransport } = require("./notify/discordDm");
+const { pickReviewers, getOverdueAction, isOpen } = require("./assignment");
+const {
+  VOTE_CHOICES,
+  castVote,
+  tallyVotes,
+  decideVote,
+  buildTallyEmbed,
+} = require("./voting");
+const {
+  ConfigError,
+  loadConfig,
+  saveConfig,
+  watchConfig,
+  getFormPath,
+  setForm,
+  removeForm,
+} = require("./config");
+
+const DOWNLOAD_FILES = process.env.DOWNLOAD_FILES === "true";
+// Discord's upload limit for servers without boosts
+const MAX_ATTACHMENT_SIZE =
+  (parseFloat(process.env.MAX_ATTACHMENT_SIZE) || 10) * 1024 * 1024;
+const FILE_ARCHIVE_DIR = process.env.FILE_ARCHIVE_DIR
+  ? path.resolve(process.env.FILE_ARCHIVE_DIR)
+  : null;
 
 const SCOPES = [
   "https://www.googleapis.com/auth/forms.responses.readonly",
   "https://www.googleapis.com/auth/forms.body.readonly",
-  //  'https://www.googleapis.com/auth/drive.readonly',
+  // Uploaded files are only readable through Drive
+  ...(DOWNLOAD_FILES ? ["https://www.googleapis.com/auth/drive.readonly"] : []),
 ];
 
 const CREDENTIALS_PATH = path.join(
   process.cwd(),
   process.env.CREDENTIALS_FILENAME || "credentials.json"
 );
+const RESPONSE_STORE = process.env.RESPONSE_STORE || "json";
 const RESPONSE_TRACK_FILE = path.join(
   process.cwd(),
   process.env.RESPONSE_TRACK_FILENAME || "responses.json"
 );
-const ERROR_LOG_FILE = process.env.ERROR_LOG_FILENAME || "error.log";
-const COMBINED_LOG_FILE = process.env.COMBINED_LOG_FILENAME || "combined.log";
+const RESPONSE_DB_FILE = path.join(
+  process.cwd(),
+  process.env.RESPONSE_DB_FILENAME || "responses.db"
+);
 const CHECK_INTERVAL = (parseInt(process.env.CHECK_INTERVAL) || 86400) * 1000;
-const PROJECT_NAME_KEYS = JSON.parse(
-  process.env.PROJECT_NAME_KEYS || '["name of your project"]'
+const PUSH_MODE = process.env.PUSH_MODE === "true";
+const PUSH_PORT = parseInt(process.env.PUSH_PORT) || 8080;
+const PUSH_PATH = process.env.PUSH_PATH || "/forms/notifications";
+const PUSH_TOKEN = process.env.PUSH_TOKEN;
+const PUSH_TOPIC = process.env.PUSH_TOPIC;
+const PUSH_FALLBACK_INTERVAL =
+  (parseInt(process.env.PUSH_FALLBACK_INTERVAL) || 3600) * 1000;
+const CONFIG_FILE = path.join(
+  process.cwd(),
+  process.env.CONFIG_FILENAME || "config.yaml"
 );
-
-// Parse the FORM_FORUM_MAPPING environment variable
-const FORM_FORUM_MAPPING = JSON.parse(process.env.FORM_FORUM_MAPPING || "{}");
-
-// Get admin role from environment variable
-const ADMIN_ROLE = process.env.ADMIN_ROLE;
-
-// Get log channel from environment variable
-const LOG_CHANNEL = process.env.LOG_CHANNEL;
-
-const discordClient = new Client({
+const MAX_CONCURRENT_CHECKS = parseInt(process.env.MAX_CONCURRENT_CHECKS) || 2;
+// How often threads are checked for overdue reviews
+const REMINDER_CHECK_INTERVAL = 60 * 60 * 1000;
+// How long the pages of a search can be browsed, as long as Discord keeps
+// the interaction's token
+const SEARCH_TTL = 15 * 60 * 1000;
+// The health and metrics endpoint only runs when a port is set
+const HEALTH_PORT = parseInt(process.env.HEALTH_PORT) || null;
+const HEALTH_HOST = process.env.HEALTH_HOST || undefined;
+// Applicant emails are only sent when an SMTP server is configured
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+
+// Form configuration, loaded from CONFIG_FILE when main() starts
+let config = { source: null, guilds: {}, forms: {}, defaults: {} };
+
+// Set up in main when DOWNLOAD_FILES is enabled
+let fileDownloader = null;
+
+// Set up in main, sends applicants the messages of forms with notify settings
+let notifier = null;
+
+// Discord client, and the Google Forms API client for an auth client. Both
+// can be replaced with configureBot, as the tests do with fakes.
+let discordClient = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
 });
+let createFormsClient = (auth) => google.forms({ version: "v1", auth });
 
-// Discord log transport class
+// Discord log transport class. Entries of a guild's form checks and
+// commands go to that guild's log channel, other entries to every log
+// channel.
 class DiscordTransport extends winston.Transport {
   constructor(opts) {
     super(opts);
     this.name = "discord";
     this.level = opts.level || "info";
-    this.queue = [];
-    this.isProcessing = false;
-    this.channelId = LOG_CHANNEL;
+    // Messages waiting to be posted, by guild ID
+    this.queues = new Map();
+    this.processing = new Set();
     this.client = opts.client;
   }
 
   async log(info, callback) {
     try {
-      if (!this.channelId || !this.client) {
+      if (!this.client) {
         return callback();
       }
 
+      const guildIds = (
+        info.guildId ? [info.guildId] : Object.keys(config.guilds)
+      ).filter((guildId) => config.guilds[guildId]?.logChannel);
+
       const logMessage = `${info.timestamp} ${info.level}: ${info.message}`;
-      this.queue.push(logMessage);
-      this.processQueue();
+      for (const guildId of guildIds) {
+        if (!this.queues.has(guildId)) {
+          this.queues.set(guildId, []);
+        }
+        this.queues.get(guildId).push(logMessage);
+        this.processQueue(guildId);
+      }
 
       callback();
     } catch (error) {
@@ -80,29 +179,31 @@ class DiscordTransport extends winston.Transport {
     }
   }
 
-  async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) return;
+  async processQueue(guildId) {
+    const queue = this.queues.get(guildId);
+    if (this.processing.has(guildId) || queue.length === 0) return;
 
-    this.isProcessing = true;
+    this.processing.add(guildId);
 
     try {
-      const channel = await findChannel(this.client, this.channelId);
+      const channelId = config.guilds[guildId]?.logChannel;
+      const channel = await findChannel(this.client, channelId, guildId);
       if (!channel) {
-        console.error(`Discord log channel ${this.channelId} not found`);
-        this.isProcessing = false;
+        console.error(`Discord log channel ${channelId} not found`);
+        this.processing.delete(guildId);
         return;
       }
 
       // Process messages from the queue
-      while (this.queue.length > 0) {
+      while (queue.length > 0) {
         let combinedMessage = "";
 
         // Combine messages up to Discord's character limit
         while (
-          this.queue.length > 0 &&
-          combinedMessage.length + this.queue[0].length + 1 < 2000
+          queue.length > 0 &&
+          combinedMessage.length + queue[0].length + 1 < 2000
         ) {
-          combinedMessage += this.queue.shift() + "\n";
+          combinedMessage += queue.shift() + "\n";
         }
 
         if (combinedMessage) {
@@ -118,37 +219,289 @@ class DiscordTransport extends winston.Transport {
     } catch (error) {
       console.error(`Error sending logs to Discord: ${error.message}`);
     } finally {
-      this.isProcessing = false;
+      this.processing.delete(guildId);
 
       // If there are still messages in the queue, process them
-      if (this.queue.length > 0) {
-        setTimeout(() => this.processQueue(), 100);
+      if (queue.length > 0) {
+        setTimeout(() => this.processQueue(guildId), 100);
       }
     }
   }
 }
 
-// Initialize logger without Discord transport (added after client is ready)
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `${timestamp} ${level}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: COMBINED_LOG_FILE }),
-  ],
+// Shared retry policy for Google Forms and Discord API calls
+const retryPolicy = new RetryPolicy({
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5,
+  baseDelay: (parseFloat(process.env.RETRY_BASE_DELAY) || 1) * 1000,
+  maxDelay: (parseInt(process.env.RETRY_MAX_DELAY) || 60) * 1000,
+  budget: (parseInt(process.env.RETRY_BUDGET) || 300) * 1000,
+  logger,
+});
+
+// Discord log transport, added once the client is ready
+let discordTransport = null;
+// Set once main() has started the scheduler
+let started = false;
+
+// Metrics served at /metrics when HEALTH_PORT is set
+const metrics = new MetricsRegistry();
+const pollsTotal = metrics.counter({
+  name: "forms_bot_polls_total",
+  help: "Form checks by form and result",
+  labelNames: ["form", "result"],
+});
+const responsesPostedTotal = metrics.counter({
+  name: "forms_bot_responses_posted_total",
+  help: "Responses posted as new threads or thread updates, by form",
+  labelNames: ["form", "kind"],
+});
+const deliveryFailuresTotal = metrics.counter({
+  name: "forms_bot_delivery_failures_total",
+  help: "Responses that could not be delivered, by form and reason",
+  labelNames: ["form", "reason"],
+});
+const googleApiDuration = metrics.histogram({
+  name: "forms_bot_google_api_duration_seconds",
+  help: "Duration of Google Forms API calls, including failed attempts",
+  labelNames: ["method"],
+});
+metrics.gauge({
+  name: "forms_bot_log_queue_depth",
+  help: "Log messages waiting to be posted to a guild's log channel",
+  labelNames: ["guild"],
+  collect: (gauge) => {
+    for (const [guildId, queue] of discordTransport?.queues || []) {
+      gauge.set({ guild: guildId }, queue.length);
+    }
+  },
 });
+metrics.gauge({
+  name: "forms_bot_discord_connected",
+  help: "Whether the Discord gateway connection is ready",
+  collect: (gauge) => gauge.set({}, discordClient.isReady() ? 1 : 0),
+});
+
+// Outcome of the latest checks of each form, by form ID
+const checkStatus = new Map();
+// Titles of the forms as of their last check, for autocompletion
+const formTitles = new Map();
+
+/**
+ * Record the outcome of a form check for the health endpoint and metrics
+ * @param {string} formId - Google Form ID
+ * @param {Error|null} error - Why the check failed, null if it succeeded
+ */
+function recordCheck(formId, error = null) {
+  const now = new Date();
+  const status = checkStatus.get(formId) || {
+    lastCheckAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+  };
+
+  status.lastCheckAt = now;
+  if (error) {
+    status.lastError = { message: error.message, at: now };
+  } else {
+    status.lastSuccessAt = now;
+  }
+  checkStatus.set(formId, status);
+  pollsTotal.inc({ form: formId, result: error ? "error" : "success" });
+}
+
+/**
+ * Make a Google Forms API call, observing how long it takes
+ * @param {string} method - API method, e.g. "forms.get"
+ * @param {Function} call - Async function making the call
+ * @returns {*} - The call's result
+ */
+async function timeGoogleCall(method, call) {
+  const endTimer = googleApiDuration.startTimer({ method });
+  try {
+    return await call();
+  } finally {
+    endTimer();
+  }
+}
 
-async function registerCommands() {
+/**
+ * Register the slash commands in a guild
+ * @param {string} guildId - Discord guild ID
+ */
+async function registerCommands(guildId) {
   try {
     const commands = [
       new SlashCommandBuilder()
         .setName("check")
-        .setDescription("Force check of all Google Forms for new responses"),
+        .setDescription("Force check of all Google Forms for new responses")
+        .addStringOption((option) =>
+          option
+            .setName("form")
+            .setDescription("Only check this form")
+            .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("since")
+            .setDescription(
+              "Repost responses submitted after this date, even if already posted"
+            )
+        )
+        .addBooleanOption((option) =>
+          option
+            .setName("dry_run")
+            .setDescription("Only count the responses, without posting them")
+        ),
+      new SlashCommandBuilder()
+        .setName("search")
+        .setDescription("Search the answers of posted responses")
+        .addStringOption((option) =>
+          option
+            .setName("query")
+            .setDescription('Words to find, "quoted" for a phrase')
+            .setRequired(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("form")
+            .setDescription("Only search this form")
+            .setAutocomplete(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("from")
+            .setDescription("Only responses submitted on or after this date")
+        )
+        .addStringOption((option) =>
+          option
+            .setName("to")
+            .setDescription("Only responses submitted on or before this date")
+        ),
+      new SlashCommandBuilder()
+        .setName("status")
+        .setDescription("Show the check status of every form"),
+      new SlashCommandBuilder()
+        .setName("failed")
+        .setDescription("Manage form responses that could not be posted")
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("list")
+            .setDescription("List responses in the failed queue")
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("retry")
+            .setDescription("Try to post failed responses again")
+            .addStringOption((option) =>
+              option
+                .setName("response")
+                .setDescription('Response ID to retry, or "all"')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("drop")
+            .setDescription("Remove a response from the failed queue")
+            .addStringOption((option) =>
+              option
+                .setName("response")
+                .setDescription("Response ID to drop")
+                .setRequired(true)
+            )
+        ),
+      new SlashCommandBuilder()
+        .setName("forms")
+        .setDescription("Manage the Google Forms posted to forums")
+        .addSubcommand((subcommand) =>
+          subcommand.setName("list").setDescription("List the mapped forms")
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("add")
+            .setDescription("Map a form to a forum, or update its mapping")
+            .addStringOption((option) =>
+              option
+                .setName("form")
+                .setDescription("Google Form ID")
+                .setRequired(true)
+            )
+            .addChannelOption((option) =>
+              option
+                .setName("forum")
+                .setDescription("Forum to post responses to")
+                .addChannelTypes(ChannelType.GuildForum)
+                .setRequired(true)
+            )
+            .addStringOption((option) =>
+              option
+                .setName("tag")
+                .setDescription("Tag applied to new threads")
+                .setMaxLength(20)
+            )
+            .addStringOption((option) =>
+              option
+                .setName("spreadsheet")
+                .setDescription("URL of the responses spreadsheet")
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("remove")
+            .setDescription("Stop posting the responses of a form")
+            .addStringOption((option) =>
+              option
+                .setName("form")
+                .setDescription("Google Form ID")
+                .setRequired(true)
+            )
+        )
+        .addSubcommand((subcommand) =>
+          subcommand
+            .setName("test")
+            .setDescription("Preview the first response of a form")
+            .addStringOption((option) =>
+              option
+                .setName("form")
+                .setDescription("Google Form ID")
+                .setRequired(true)
+            )
+        ),
+      new SlashCommandBuilder()
+        .setName("preview")
+        .setDescription("Show the thread a response would get, without posting")
+        .addStringOption((option) =>
+          option
+            .setName("form")
+            .setDescription("Google Form ID")
+            .setRequired(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName("response")
+            .setDescription("Response ID, the first response if omitted")
+        ),
+      new SlashCommandBuilder()
+        .setName("vote")
+        .setDescription("Vote on the form response of this thread")
+        .addStringOption((option) =>
+          option
+            .setName("choice")
+            .setDescription("Your vote")
+            .setRequired(true)
+            .addChoices(
+              ...Object.entries(VOTE_CHOICES).map(([value, { label }]) => ({
+                name: label,
+                value,
+              }))
+            )
+        )
+        .addStringOption((option) =>
+          option
+            .setName("comment")
+            .setDescription("Comment shown with your vote")
+            .setMaxLength(200)
+        ),
       // Remove default permission - we'll check for admin role manually
     ];
 
@@ -156,19 +509,39 @@ async function registerCommands() {
       process.env.DISCORD_BOT_TOKEN
     );
 
-    logger.info("Started refreshing application (/) commands.");
+    logger.info("Started refreshing application (/) commands.", { guildId });
 
     await rest.put(
-      Routes.applicationGuildCommands(
-        discordClient.user.id,
-        process.env.DISCORD_GUILD_ID
-      ),
+      Routes.applicationGuildCommands(discordClient.user.id, guildId),
       { body: commands.map((command) => command.toJSON()) }
     );
 
-    logger.info("Successfully registered application commands.");
+    logger.info("Successfully registered application commands.", { guildId });
+  } catch (error) {
+    logger.error(`Error registering slash commands: ${error.message}`, {
+      guildId,
+    });
+  }
+}
+
+/**
+ * Remove the slash commands from a guild that was removed from the config
+ * @param {string} guildId - Discord guild ID
+ */
+async function unregisterCommands(guildId) {
+  try {
+    const rest = new REST({ version: "10" }).setToken(
+      process.env.DISCORD_BOT_TOKEN
+    );
+    await rest.put(
+      Routes.applicationGuildCommands(discordClient.user.id, guildId),
+      { body: [] }
+    );
+    logger.info(`Removed application commands from guild ${guildId}`);
   } catch (error) {
-    logger.error(`Error registering slash commands: ${error.message}`);
+    logger.error(
+      `Error removing slash commands from guild ${guildId}: ${error.message}`
+    );
   }
 }
 
@@ -188,8 +561,11 @@ async function authorize() {
 
 async function getFormDetails(auth, formId) {
   try {
-    const forms = google.forms({ version: "v1", auth });
-    const response = await forms.forms.get({ formId });
+    const forms = createFormsClient(auth);
+    const response = await retryPolicy.run(
+      () => timeGoogleCall("forms.get", () => forms.forms.get({ formId })),
+      `Fetching form ${formId}`
+    );
     return response.data;
   } catch (error) {
     handleApiError(error, `Error fetching form details for ${formId}`);
@@ -232,9 +608,11 @@ async function findRole(guild, roleIdentifier) {
  * Helper function to find a channel by ID or name
  * @param {Client} client - Discord client
  * @param {string} channelIdentifier - Channel ID or name to find
+ * @param {string|null} guildId - Guild to look for channel names in, all
+ * guilds if null
  * @returns {Channel|null} - The channel object or null if not found
  */
-async function findChannel(client, channelIdentifier) {
+async function findChannel(client, channelIdentifier, guildId = null) {
   if (!channelIdentifier) {
     return null;
   }
@@ -248,7 +626,10 @@ async function findChannel(client, channelIdentifier) {
       // If it's not numeric, treat it as a name (case-insensitive)
       const lowerCaseName = channelIdentifier.toLowerCase();
       channel = client.channels.cache.find(
-        (c) => c.name && c.name.toLowerCase() === lowerCaseName
+        (c) =>
+          c.name &&
+          c.name.toLowerCase() === lowerCaseName &&
+          (!guildId || c.guildId === guildId)
       );
     }
 
@@ -261,140 +642,117 @@ async function findChannel(client, channelIdentifier) {
   }
 }
 
+/**
+ * Resolve the roles to mention when a form receives a submission
+ * @param {Guild} guild - Discord guild object
+ * @param {Object} form - Configuration of the form
+ * @returns {Role[]} - The roles found, the admin role if none are configured
+ */
+async function getMentionRoles(guild, form) {
+  if (!form.mentionRoles) {
+    const adminRole = await getAdminRole(guild);
+    return adminRole ? [adminRole] : [];
+  }
+
+  const roles = [];
+  for (const roleIdentifier of form.mentionRoles) {
+    const role = await findRole(guild, roleIdentifier);
+    if (role) {
+      roles.push(role);
+    } else {
+      logger.warn(`Mention role "${roleIdentifier}" not found in the guild.`);
+    }
+  }
+  return roles;
+}
+
+/**
+ * Resolve the admin role configured for a guild
+ * @param {Guild} guild - Discord guild object
+ * @returns {Role|null} - The admin role, or null if none is configured or it
+ * doesn't exist
+ */
 async function getAdminRole(guild) {
-  if (!ADMIN_ROLE) {
+  const adminRoleIdentifier = config.guilds[guild.id]?.adminRole;
+  if (!adminRoleIdentifier) {
     logger.warn(
-      "No admin role ID or name provided. Admin role tagging will be skipped."
+      `No admin role ID or name configured for guild ${guild.name}. Admin role tagging will be skipped.`,
+      { guildId: guild.id }
     );
     return null;
   }
 
-  const adminRole = await findRole(guild, ADMIN_ROLE);
+  const adminRole = await findRole(guild, adminRoleIdentifier);
 
   if (adminRole) {
     logger.debug(`Admin role set: "${adminRole.name}" (${adminRole.id})`);
     return adminRole;
   } else {
-    logger.warn(`Admin role "${ADMIN_ROLE}" not found in the guild.`);
+    logger.warn(`Admin role "${adminRoleIdentifier}" not found in the guild.`, {
+      guildId: guild.id,
+    });
     return null;
   }
 }
 
-function splitIntoQuestions(message) {
-  return message
-    .split("## ")
-    .filter((q) => q.trim() !== "")
-    .map((q) => `### ${q.trim()}`);
-}
-
-function createButton(responseUrl) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setStyle(ButtonStyle.Link)
-      .setLabel("View Full Response")
-      .setURL(responseUrl)
-  );
-}
-
-async function loadResponseTrack() {
-  try {
-    const data = await fs.readFile(RESPONSE_TRACK_FILE, "utf8");
-    return data.trim() ? JSON.parse(data) : {};
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      logger.info("No existing response track found. Creating a new one.");
-      await saveResponseTrack({});
-      return {};
-    }
-    if (error instanceof SyntaxError) {
-      logger.warn("Invalid JSON in response track file. Creating a new one.");
-      await saveResponseTrack({});
-      return {};
-    }
-    logger.error(`Error reading response track: ${error.message}`);
-    return {};
-  }
-}
-
-async function saveResponseTrack(track) {
-  try {
-    await fs.writeFile(
-      RESPONSE_TRACK_FILE,
-      JSON.stringify(track, null, 2),
-      "utf8"
-    );
-    const filename = path.basename(RESPONSE_TRACK_FILE);
-    logger.info(`Successfully wrote to ${filename}`);
-  } catch (error) {
-    const filename = path.basename(RESPONSE_TRACK_FILE);
-    logger.error(`Error writing to ${filename}: ${error.message}`);
+/**
+ * Check that the member running a command has the admin role, replying with
+ * an error if they don't
+ * @param {CommandInteraction} interaction - The command interaction
+ * @returns {boolean} - True if the member has the admin role
+ */
+async function checkAdminRole(interaction) {
+  const adminRole = await getAdminRole(interaction.guild);
+  const hasAdminRole =
+    adminRole && interaction.member.roles.cache.has(adminRole.id);
+
+  if (!hasAdminRole) {
+    await interaction.reply({
+      content: `You need the ${
+        adminRole ? adminRole.name : "admin"
+      } role to use this command.`,
+      ephemeral: true,
+    });
+    return false;
   }
-}
 
-function truncate(str, n) {
-  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+  return true;
 }
 
-function getProjectName(response) {
-  const projectNameKey = Object.keys(response).find((key) =>
-    PROJECT_NAME_KEYS.some((searchString) =>
-      key.toLowerCase().includes(searchString.toLowerCase())
-    )
-  );
-  return projectNameKey ? response[projectNameKey] : "Unknown Project";
-}
-
-function getTotalCost(response) {
-  // Skip cost for audit forms
-  if (
-    Object.keys(response).some(
-      (key) =>
-        key.toLowerCase().includes("audit") ||
-        key.toLowerCase().includes("auditor")
-    )
-  ) {
-    return "";
-  }
-
-  const costKeys = [
-    "total cost",
-    "budget",
-    "funding amount",
-    "requested amount",
-  ];
-  for (const [key, value] of Object.entries(response)) {
-    if (costKeys.some((costKey) => key.toLowerCase().includes(costKey))) {
-      // Truncate the value to a reasonable length
-      const truncatedValue = truncateCost(value);
-      return truncatedValue;
+/**
+ * Check that the member behind an interaction has one of the given roles or
+ * the admin role, replying with an error if they don't
+ * @param {Interaction} interaction - The button or command interaction
+ * @param {string[]|null} roleIdentifiers - Role IDs or names
+ * @param {string} action - What the roles allow, for the error message
+ * @returns {boolean} - True if the member has one of the roles
+ */
+async function checkMemberRoles(interaction, roleIdentifiers, action) {
+  const roles = [];
+  for (const roleIdentifier of roleIdentifiers || []) {
+    const role = await findRole(interaction.guild, roleIdentifier);
+    if (role) {
+      roles.push(role);
+    } else {
+      logger.warn(`Role "${roleIdentifier}" not found in the guild.`);
     }
   }
-  return "Cost not found";
-}
-
-function truncateCost(value) {
-  // Remove leading/trailing whitespace
-  let trimmedValue = value.trim();
-
-  // If the value is longer than 20 characters, truncate it
-  if (trimmedValue.length > 20) {
-    // Try to find a sensible place to truncate
-    let truncateIndex = 20;
-    while (
-      truncateIndex > 0 &&
-      !/[\s,.]/.test(trimmedValue[truncateIndex - 1])
-    ) {
-      truncateIndex--;
-    }
-    // If we couldn't find a good break point, just use 20
-    if (truncateIndex === 0) {
-      truncateIndex = 20;
-    }
+  const adminRole = await getAdminRole(interaction.guild);
+  if (adminRole) {
+    roles.push(adminRole);
+  }
 
-    trimmedValue = `${trimmedValue.substring(0, truncateIndex)}...`;
+  if (!roles.some((role) => interaction.member.roles.cache.has(role.id))) {
+    await interaction.reply({
+      content: `You need the ${
+        roles.map((role) => role.name).join(" or ") || "admin"
+      } role to ${action}.`,
+      ephemeral: true,
+    });
+    return false;
   }
 
-  return trimmedValue;
+  return true;
 }
 
 async function createOrFetchTag(forum, tagName) {
@@ -431,465 +789,2295 @@ async function createOrFetchTag(forum, tagName) {
   }
 }
 
-async function sendToDiscord(formattedResponse, formId, trackedResponses) {
-  let initialMessage = "";
+/**
+ * Move a thread to a review status tag, removing the form's other status
+ * tags and keeping every other tag
+ * @param {ThreadChannel} thread - Thread of the response
+ * @param {Object} form - Configuration of the thread's form
+ * @param {string} status - Key of the form's statusTags
+ */
+async function setStatusTag(thread, form, status) {
+  const forum = thread.parent;
+  const tag = await createOrFetchTag(forum, form.statusTags[status]);
+  if (!tag) {
+    return;
+  }
+
+  const statusTagNames = Object.values(form.statusTags);
+  const statusTagIds = forum.availableTags
+    .filter((t) => statusTagNames.includes(t.name))
+    .map((t) => t.id);
+  // Threads can have up to five tags
+  const appliedTags = [
+    ...thread.appliedTags.filter((id) => !statusTagIds.includes(id)),
+    tag.id,
+  ].slice(-5);
+
+  await retryPolicy.run(
+    () => thread.setAppliedTags(appliedTags),
+    `Tagging thread ${thread.id} as ${tag.name}`
+  );
+}
 
+/**
+ * Post a formatted response to its mapped forum as a new thread, or finish
+ * posting it to the thread of an earlier partial delivery
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ * @param {string} formId - Google Form ID
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @param {Object[]} files - Uploaded files from FileDownloader
+ * @param {string[]} reviewerIds - Discord IDs of the assigned reviewers
+ * @param {Object} options
+ * @param {Object|null} [options.resume] - Progress of the partial delivery
+ * to finish, as passed to onProgress
+ * @param {Function} [options.onProgress] - Called with the thread, the IDs
+ * of the messages sent so far and whether the files were posted, once the
+ * thread exists and after each later step
+ * @returns {{thread: ThreadChannel, messageIds: string[]}} - The thread and
+ * the IDs of the messages holding the response
+ * @throws {RetryError} - When the response could not be posted completely
+ */
+async function sendToDiscord(
+  formattedResponse,
+  formId,
+  formDetails,
+  files = [],
+  reviewerIds = [],
+  { resume = null, onProgress = async () => {} } = {}
+) {
   logger.info(`Starting sendToDiscord for form ${formId}`);
   logger.debug(`Formatted response: ${JSON.stringify(formattedResponse)}`);
 
   try {
-    const forumMapping = FORM_FORUM_MAPPING[formId];
-    let forumId, customForumName, tagName, responseUrl;
-
-    if (Array.isArray(forumMapping)) {
-      [forumId, customForumName, responseUrl] = forumMapping;
-      tagName = customForumName;
-      logger.debug(
-        `Array mapping - ForumId: ${forumId}, Name: ${customForumName}, URL: ${responseUrl}`
-      );
-    } else {
-      forumId = forumMapping;
-      logger.debug(`Simple mapping - ForumId: ${forumId}`);
-    }
+    const form = config.forms[formId];
 
-    if (!forumId) {
-      logger.error(`No forum ID mapped for form ID ${formId}`);
-      return false;
+    if (!form) {
+      throw new PermanentError(`Form ID ${formId} is not configured`);
     }
 
-    if (!responseUrl) {
-      logger.error(`No response URL provided for form ID ${formId}`);
-      return false;
-    }
-
-    const forum = await discordClient.channels.fetch(forumId);
+    const forum = await retryPolicy.run(
+      () => discordClient.channels.fetch(form.forum),
+      `Fetching forum ${form.forum}`
+    );
     logger.debug(`Fetched forum: ${forum?.name} (${forum?.id})`);
 
     if (!forum || forum.type !== ChannelType.GuildForum) {
-      logger.error(`Channel ${forumId} is not a forum: ${forum?.type}`);
-      return false;
+      throw new PermanentError(
+        `Channel ${form.forum} is not a forum: ${forum?.type}`
+      );
     }
 
-    const forumName = customForumName || forum.name;
-    const projectName = getProjectName(formattedResponse);
-    const totalCost = getTotalCost(formattedResponse);
+    const {
+      threadName,
+      messages: [initialMessage, ...remainingQuestions],
+      components,
+    } = buildThreadContent(formattedResponse, form, formDetails);
 
-    const threadName = truncate(
-      `${formattedResponse.Submitted} - ${projectName}${
-        totalCost ? ` - ${totalCost}` : ""
-      }`,
-      100
-    );
-    logger.debug(`Thread name (${threadName.length} chars): ${threadName}`);
+    let thread;
+    let messageIds;
+    let filesPosted = false;
 
-    const formattedMessage = formatResponseMessage(
-      formattedResponse,
-      responseUrl
-    );
-    const message = formattedMessage.content;
-    const components = formattedMessage.components;
-
-    logger.debug(`Message length: ${message.length} characters`);
-    logger.debug(`Components count: ${components.length}`);
-
-    const appliedTags = [];
-    if (tagName) {
-      const tag = await createOrFetchTag(forum, tagName);
-      if (tag && tag.id) {
-        appliedTags.push(tag.id);
-        logger.debug(`Applied tag: ${tagName} (${tag.id})`);
+    if (resume) {
+      thread = await retryPolicy.run(
+        () => discordClient.channels.fetch(resume.threadId),
+        `Fetching thread ${resume.threadId}`
+      );
+      if (!thread) {
+        throw new PermanentError(`Thread ${resume.threadId} not found`);
       }
-    }
-
-    const questions = splitIntoQuestions(message);
-    logger.debug(`Split into ${questions.length} questions`);
-
-    const remainingQuestions = [];
-    const maxLength = 2000 - JSON.stringify(createButton(responseUrl)).length;
-    logger.debug(`Maximum message length: ${maxLength}`);
-
-    for (const question of questions) {
-      if (initialMessage.length + question.length <= maxLength) {
-        initialMessage += `${question}\n\n`;
-      } else {
-        remainingQuestions.push(question);
+      if (thread.archived) {
+        await thread.setArchived(false);
+      }
+      messageIds = [...resume.messageIds];
+      filesPosted = resume.filesPosted;
+      logger.info(`Resuming delivery in thread ${thread.id}`);
+    } else {
+      const appliedTags = [];
+      for (const tagName of [form.tag, form.statusTags.pending]) {
+        if (!tagName) {
+          continue;
+        }
+        const tag = await createOrFetchTag(forum, tagName);
+        if (tag && tag.id) {
+          appliedTags.push(tag.id);
+          logger.debug(`Applied tag: ${tagName} (${tag.id})`);
+        }
       }
-    }
 
-    logger.debug(`Initial message length: ${initialMessage.length}`);
-    logger.debug(`Remaining questions: ${remainingQuestions.length}`);
+      // Create thread with initial message
+      logger.info(
+        `Creating thread "${threadName}" with ${getMessageLength(
+          initialMessage
+        )} chars`
+      );
+      thread = await retryPolicy.run(
+        () =>
+          forum.threads.create({
+            name: threadName,
+            message: { ...initialMessage, components },
+            appliedTags,
+            autoArchiveDuration: 10080,
+          }),
+        `Creating thread "${threadName}"`
+      );
 
-    // Create thread with initial message
-    logger.info(
-      `Creating thread "${threadName}" with ${initialMessage.length} chars`
-    );
-    const thread = await forum.threads.create({
-      name: threadName,
-      message: {
-        content: initialMessage.trim(),
-        flags: 1 << 2,
-        components,
-      },
-      appliedTags,
-      autoArchiveDuration: 10080,
-    });
+      logger.info(`Thread created: ${thread.id}`);
 
-    logger.info(`Thread created: ${thread.id}`);
+      // The starter message of a forum thread shares the thread's ID
+      messageIds = [thread.id];
+      await onProgress({ thread, messageIds, filesPosted });
+    }
 
-    // Send remaining questions
+    // Send the remaining questions not sent before
     for (const [index, question] of remainingQuestions.entries()) {
+      if (messageIds[index + 1]) {
+        continue;
+      }
       logger.debug(
-        `Sending follow-up message ${index + 1}/${remainingQuestions.length} (${
-          question.length
-        } chars)`
+        `Sending follow-up message ${index + 1}/${
+          remainingQuestions.length
+        } (${getMessageLength(question)} chars)`
       );
-      await thread.send({
-        content: question,
-        flags: 1 << 2,
-      });
+      const followUp = await retryPolicy.run(
+        () => thread.send(question),
+        `Sending follow-up message to thread ${thread.id}`
+      );
+      messageIds.push(followUp.id);
+      await onProgress({ thread, messageIds, filesPosted });
     }
 
-    // Tag admin role
-    const guild = forum.guild;
-    const adminRole = await getAdminRole(guild);
-
-    if (adminRole) {
-      logger.debug(`Tagging admin role: ${adminRole.name} (${adminRole.id})`);
-      await thread.send({
-        content: `<@&${adminRole.id}> A form submission has been received.`,
-        allowedMentions: { roles: [adminRole.id] },
-      });
+    if (!filesPosted) {
+      await postFiles(thread, files);
+      filesPosted = true;
+      await onProgress({ thread, messageIds, filesPosted });
     }
 
-    // Update response track
-    trackedResponses[formId] = trackedResponses[formId] || [];
-    trackedResponses[formId].push(formattedResponse);
-    await saveResponseTrack(trackedResponses);
+    // Tag the assigned reviewers, or else the form's mention roles or the
+    // admin role if it has none
+    const roles =
+      reviewerIds.length > 0 ? [] : await getMentionRoles(forum.guild, form);
+
+    if (reviewerIds.length > 0) {
+      logger.debug(`Tagging reviewers: ${reviewerIds.join(", ")}`);
+      await retryPolicy.run(
+        () =>
+          thread.send({
+            content: `${reviewerIds
+              .map((id) => `<@${id}>`)
+              .join(" ")} A form submission has been assigned to you.`,
+            allowedMentions: { users: reviewerIds },
+          }),
+        `Tagging reviewers in thread ${thread.id}`
+      );
+    } else if (roles.length > 0) {
+      const roleIds = roles.map((role) => role.id);
+      logger.debug(
+        `Tagging roles: ${roles.map((role) => role.name).join(", ")}`
+      );
+      await retryPolicy.run(
+        () =>
+          thread.send({
+            content: `${roleIds
+              .map((id) => `<@&${id}>`)
+              .join(" ")} A form submission has been received.`,
+            allowedMentions: { roles: roleIds },
+          }),
+        `Tagging roles in thread ${thread.id}`
+      );
+    }
 
     logger.info(`Successfully processed form response in thread ${thread.id}`);
-    return true;
+    return { thread, messageIds };
   } catch (error) {
     logger.error(`Error sending message to Discord: ${error.message}`);
     logger.error(`Error stack: ${error.stack}`);
-    if (error.code) {
-      logger.error(`Discord API Error Code: ${error.code}`);
+    if (error.cause?.code) {
+      logger.error(`Discord API Error Code: ${error.cause.code}`);
     }
-    return false;
+    throw error;
   }
 }
 
-function formatResponseMessage(response, responseUrl) {
-  let message = "";
-  const navigationButtons = [];
-  const winningOfferButtons = [];
-  const otherOfferButtons = [];
-
-  // Filter entries
-  const entries = Object.entries(response).filter(
-    ([key, value]) => value && key !== "Submitted" && key !== "responseId"
-  );
-
-  // Sort entries to put "name" fields first
-  const sortedEntries = entries.sort((a, b) => {
-    const aIsName = a[0].toLowerCase().includes("name");
-    const bIsName = b[0].toLowerCase().includes("name");
-    return aIsName && !bIsName ? -1 : !aIsName && bIsName ? 1 : 0;
-  });
-
-  sortedEntries.forEach(([key, value]) => {
-    const lowerKey = key.toLowerCase();
+/**
+ * Post downloaded files to a thread as attachments. Files over the upload
+ * limit, or that could not be downloaded or uploaded, are listed as links.
+ * @param {ThreadChannel} thread - Thread of the response
+ * @param {Object[]} files - Uploaded files from FileDownloader
+ */
+async function postFiles(thread, files) {
+  const linked = files.filter((file) => !file.data);
 
+  for (const group of groupAttachments(
+    files.filter((file) => file.data),
+    MAX_ATTACHMENT_SIZE
+  )) {
     try {
-      if (
-        !PROJECT_NAME_KEYS.some((nameKey) =>
-          lowerKey.includes(nameKey.toLowerCase())
-        )
-      ) {
-        if (lowerKey.includes("website")) {
-          let url = value.trim();
-          if (!url.startsWith("https://")) {
-            url = "https://" + url.replace(/^http:\/\//i, "");
-          }
-          try {
-            new URL(url);
-            navigationButtons.push(
-              new ButtonBuilder()
-                .setStyle(ButtonStyle.Link)
-                .setLabel("🌐 Website")
-                .setURL(url)
-            );
-          } catch (error) {
-            logger.warn(`Invalid website URL: ${url}`);
-          }
-        } else if (typeof value === "object" && !Array.isArray(value)) {
-          Object.entries(value).forEach(([fileName, fileUrl]) => {
-            const isWinningOffer = lowerKey.includes("winning");
-            const button = new ButtonBuilder()
-              .setStyle(ButtonStyle.Link)
-              .setLabel(
-                truncate(
-                  `${isWinningOffer ? "🏆 " : "📄 "}${cleanFileName(fileName)}`,
-                  80
-                )
-              )
-              .setURL(fileUrl);
-
-            if (isWinningOffer) {
-              winningOfferButtons.push(button);
-            } else {
-              otherOfferButtons.push(button);
-            }
-          });
-        } else {
-          message += `## ${key}\n${formatStringWithSubstrateAddresses(
-            value.toString()
-          )}\n\n`;
-        }
-      }
+      await retryPolicy.run(
+        () =>
+          thread.send({
+            files: group.map(
+              (file) => new AttachmentBuilder(file.data, { name: file.name })
+            ),
+          }),
+        `Uploading ${group.length} files to thread ${thread.id}`
+      );
     } catch (error) {
-      logger.error(`Error processing entry ${key}: ${error.message}`);
+      logger.warn(
+        `Error uploading files to thread ${thread.id}, linking them instead: ${error.message}`
+      );
+      linked.push(...group);
     }
-  });
+  }
 
-  if (responseUrl) {
-    navigationButtons.push(
-      new ButtonBuilder()
-        .setStyle(ButtonStyle.Link)
-        .setLabel("📑 Spreadsheet")
-        .setURL(responseUrl)
+  if (linked.length > 0) {
+    await retryPolicy.run(
+      () =>
+        thread.send({
+          content: truncate(
+            `Files not attached, open them in Google Drive:\n${linked
+              .map((file) => `- [${file.name}](<${file.url}>)`)
+              .join("\n")}`,
+            2000
+          ),
+          flags: 1 << 2,
+        }),
+      `Linking files in thread ${thread.id}`
     );
   }
+}
 
-  const actionRows = [];
-  if (navigationButtons.length > 0) {
-    actionRows.push(new ActionRowBuilder().addComponents(navigationButtons));
-  }
+/**
+ * Tell whether a Discord request failed because the message doesn't exist
+ * (anymore)
+ * @param {Error} error - Error thrown by discord.js
+ * @returns {boolean}
+ */
+function isUnknownMessage(error) {
+  return error.code === RESTJSONErrorCodes.UnknownMessage;
+}
 
-  const allOfferButtons = [...winningOfferButtons, ...otherOfferButtons];
-  if (allOfferButtons.length > 0) {
-    for (let i = 0; i < allOfferButtons.length; i += 5) {
-      actionRows.push(
-        new ActionRowBuilder().addComponents(allOfferButtons.slice(i, i + 5))
-      );
+/**
+ * Bring an existing thread in line with an edited response. The messages
+ * holding the response are edited in place and a summary of the changed
+ * answers is posted. Threads tracked before message IDs were recorded only
+ * get the summary.
+ * @param {Object} record - Tracked response record
+ * @param {Object} formattedResponse - Formatted response after the edit
+ * @param {string} formId - Google Form ID
+ * @param {Object[]} changes - Changed answers from diffResponses
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @param {Object[]} files - Newly uploaded files from FileDownloader
+ * @returns {string[]|null} - The IDs of the messages now holding the
+ * response, or null if they are not known
+ * @throws {RetryError} - When the thread could not be updated
+ */
+async function updateDiscordThread(
+  record,
+  formattedResponse,
+  formId,
+  changes,
+  formDetails,
+  files = []
+) {
+  try {
+    const thread = await retryPolicy.run(
+      () => discordClient.channels.fetch(record.threadId),
+      `Fetching thread ${record.threadId}`
+    );
+    if (!thread) {
+      throw new PermanentError(`Thread ${record.threadId} not found`);
     }
-  }
 
-  return { content: message.trim(), components: actionRows };
-}
+    if (thread.archived) {
+      await thread.setArchived(false);
+    }
 
-async function checkNewResponses(auth, formId, responseTrack) {
-  const forms = google.forms({ version: "v1", auth });
-  let formName = formId;
-  let formDetails;
+    let messageIds = record.messageIds || null;
 
-  try {
-    // Get form details first to get the form name
-    formDetails = await getFormDetails(auth, formId);
-    if (formDetails && formDetails.info) {
-      formName = formDetails.info.title;
-    } else {
-      logger.warn(
-        `Unable to fetch form details for ${formId}. Using form ID as name.`
+    if (messageIds) {
+      const { threadName, messages, components } = buildThreadContent(
+        formattedResponse,
+        config.forms[formId],
+        formDetails
       );
-    }
+      const updatedIds = [];
+
+      for (const [index, content] of messages.entries()) {
+        const payload = {
+          ...content,
+          components: index === 0 ? components : [],
+        };
+
+        const message = await retryPolicy.run(async () => {
+          if (messageIds[index]) {
+            try {
+              const existing = await thread.messages.fetch(messageIds[index]);
+              // Replace any attachment of the previous version
+              return await existing.edit({ ...payload, attachments: [] });
+            } catch (error) {
+              // A message deleted by a moderator is sent again
+              if (!isUnknownMessage(error)) {
+                throw error;
+              }
+              logger.warn(
+                `Message ${messageIds[index]} of thread ${thread.id} was deleted, sending it again`
+              );
+            }
+          }
+          return thread.send(payload);
+        }, `Updating message ${index + 1} of thread ${thread.id}`);
+        updatedIds.push(message.id);
+      }
 
-    logger.info(
-      `Checking Google Form API for new responses on form "${formName}"`
-    );
+      // The edited response may need fewer messages than before
+      for (const messageId of messageIds.slice(messages.length)) {
+        await retryPolicy.run(async () => {
+          try {
+            await thread.messages.delete(messageId);
+          } catch (error) {
+            if (!isUnknownMessage(error)) {
+              throw error;
+            }
+          }
+        }, `Deleting message ${messageId} of thread ${thread.id}`);
+      }
 
-    const response = await forms.forms.responses.list({ formId });
-    const responses = response.data.responses || [];
+      if (thread.name !== threadName) {
+        await retryPolicy.run(
+          () => thread.setName(threadName),
+          `Renaming thread ${thread.id}`
+        );
+      }
 
-    if (responses.length === 0) {
-      logger.info(`No responses found for form "${formName}".`);
-      return false;
+      messageIds = updatedIds;
     }
 
-    const trackedResponses = responseTrack[formId] || [];
-    // Use responseId for comparison instead of submission date
-    const newResponses = responses.filter(
-      (r) => !trackedResponses.some((tr) => tr.responseId === r.responseId)
-    );
-
-    if (newResponses.length > 0) {
-      logger.info(
-        `Found ${newResponses.length} new responses for form "${formName}"`
-      );
+    await postFiles(thread, files);
 
-      // Sort new responses by submission time (oldest first)
-      newResponses.sort(
-        (a, b) => new Date(a.lastSubmittedTime) - new Date(b.lastSubmittedTime)
-      );
+    await retryPolicy.run(
+      () =>
+        thread.send({
+          content: formatResponseDiff(changes, formattedResponse.Submitted),
+          flags: 1 << 2,
+        }),
+      `Posting edit summary to thread ${thread.id}`
+    );
 
-      for (const response of newResponses) {
-        const formattedResponse = await formatResponse(
-          response,
+    logger.info(
+      `Updated thread ${thread.id} for edited response ${formattedResponse.responseId}`
+    );
+    return messageIds;
+  } catch (error) {
+    logger.error(
+      `Error updating thread ${record.threadId} for edited response: ${error.message}`
+    );
+    if (error.cause?.code) {
+      logger.error(`Discord API Error Code: ${error.cause.code}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all responses of a form, following pagination
+ * @param {Object} forms - Google Forms API client
+ * @param {string} formId - Google Form ID
+ * @param {string|null} since - Only list responses submitted after this RFC3339 timestamp
+ * @returns {Object[]} - The form responses
+ */
+async function listResponses(forms, formId, since) {
+  const responses = [];
+  let pageToken;
+
+  do {
+    const response = await retryPolicy.run(
+      () =>
+        timeGoogleCall("forms.responses.list", () =>
+          forms.forms.responses.list({
+            formId,
+            filter: since ? `timestamp > ${since}` : undefined,
+            pageSize: 5000,
+            pageToken,
+          })
+        ),
+      `Listing responses of form ${formId}`
+    );
+    responses.push(...(response.data.responses || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return responses;
+}
+
+/**
+ * Update the thread and record of a tracked response if it was edited
+ * @returns {boolean} - True if the thread was updated
+ */
+async function processEditedResponse(
+  response,
+  record,
+  formDetails,
+  auth,
+  formId,
+  store
+) {
+  if (record.lastSubmittedTime === response.lastSubmittedTime) {
+    return false;
+  }
+
+  const formattedResponse = await formatResponse(response, formDetails);
+  const changes = diffResponses(record.response, formattedResponse);
+  const updatedRecord = {
+    ...record,
+    lastSubmittedTime: response.lastSubmittedTime,
+    response: formattedResponse,
+  };
+
+  // Responses tracked before submission times were stored have no time to
+  // compare against, so only a change in the answers counts as an edit
+  if (changes.length > 0) {
+    logger.info(
+      `Response ${response.responseId} was edited (${changes.length} changed answers)`
+    );
+
+    if (record.threadId) {
+      // Only files added by the edit are posted
+      let files = [];
+      if (fileDownloader) {
+        files = await fileDownloader.downloadAll(
+          response,
+          formId,
+          getFileIds(record.response)
+        );
+      }
+      updatedRecord.messageIds = await updateDiscordThread(
+        record,
+        formattedResponse,
+        formId,
+        changes,
+        formDetails,
+        files
+      );
+      responsesPostedTotal.inc({ form: formId, kind: "edit" });
+    } else {
+      logger.warn(
+        `No thread recorded for edited response ${response.responseId}, skipping thread update`
+      );
+    }
+  }
+
+  await store.saveResponse(formId, updatedRecord);
+  return changes.length > 0 && Boolean(record.threadId);
+}
+
+/**
+ * Add a response that could not be delivered to the failed queue, or update
+ * its entry if it failed before
+ * @param {string} formId - Google Form ID
+ * @param {Object} response - Response from the Forms API
+ * @param {Error} error - Error raised while delivering the response
+ * @param {Object} store - Response store
+ */
+async function recordFailure(formId, response, error, store) {
+  const previous = await store.getFailure(formId, response.responseId);
+  const now = new Date().toISOString();
+  const failure = {
+    responseId: response.responseId,
+    lastSubmittedTime: response.lastSubmittedTime,
+    reason: error.message,
+    retryable: isRetryable(error),
+    attempts: (previous?.attempts || 0) + (error.attempts || 1),
+    firstFailedAt: previous?.firstFailedAt || now,
+    lastFailedAt: now,
+  };
+
+  await store.saveFailure(formId, failure);
+  deliveryFailuresTotal.inc({ form: formId, reason: getFailureReason(error) });
+  logger.warn(
+    `Response ${response.responseId} added to the failed queue after ${
+      failure.attempts
+    } attempts (${failure.retryable ? "retryable" : "permanent"}): ${
+      failure.reason
+    }`
+  );
+}
+
+// Updates of a response record can come from form checks and from reviewers
+// at the same time, so they run one at a time per response
+const recordLocks = new Map();
+
+/**
+ * Run an operation once earlier operations on the same response record
+ * have finished
+ * @param {string} formId - Google Form ID
+ * @param {string} responseId - Response ID
+ * @param {Function} operation - Async function reading and saving the record
+ * @returns {Promise<*>} - Result of the operation
+ */
+function withRecordLock(formId, responseId, operation) {
+  const key = `${formId}:${responseId}`;
+  const result = (recordLocks.get(key) || Promise.resolve()).then(operation);
+  const done = result.catch(() => {});
+  recordLocks.set(key, done);
+  done.then(() => {
+    if (recordLocks.get(key) === done) {
+      recordLocks.delete(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Post a new response, or update the thread of an edited one. Responses that
+ * can't be delivered go to the failed queue and leave it once they succeed,
+ * in the thread already created for them if they failed halfway.
+ * @param {Object} response - Response from the Forms API
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @param {Object} auth - Google auth client
+ * @param {string} formId - Google Form ID
+ * @param {Object} store - Response store
+ * @param {Object[]|null} reviewerRecords - Records of the form to pick
+ * reviewers from, loaded once per check. Assignments are added to them.
+ * @param {boolean} repost - Post tracked responses to a new thread too,
+ * replacing their record
+ * @returns {{outcome: string, threadId: string|null}} - "posted" to a new
+ * thread, "updated" thread, "unchanged" or "failed", and the thread posted to
+ */
+async function deliverResponse(
+  response,
+  formDetails,
+  auth,
+  formId,
+  store,
+  reviewerRecords = null,
+  repost = false
+) {
+  try {
+    return await withRecordLock(formId, response.responseId, async () => {
+      const record = await store.getResponse(formId, response.responseId);
+      // Records of threads whose delivery failed halfway
+      const partial = record?.delivery && !repost ? record : null;
+
+      if (record && !repost && !partial) {
+        const updated = await processEditedResponse(
+          response,
+          record,
           formDetails,
-          auth
+          auth,
+          formId,
+          store
         );
-        const threadCreated = await sendToDiscord(
+        await store.removeFailure(formId, response.responseId);
+        return {
+          outcome: updated ? "updated" : "unchanged",
+          threadId: updated ? record.threadId : null,
+        };
+      } else {
+        const formattedResponse = await formatResponse(response, formDetails);
+        const files = fileDownloader
+          ? await fileDownloader.downloadAll(response, formId)
+          : [];
+        const form = config.forms[formId];
+        let assignment = partial?.assignment || null;
+        if (!partial && form?.reviewers) {
+          const reviewerIds = pickReviewers(
+            form.reviewers,
+            reviewerRecords || (await store.listResponses(formId))
+          );
+          if (reviewerIds.length > 0) {
+            assignment = {
+              reviewerIds,
+              assignedAt: new Date().toISOString(),
+              remindedAt: null,
+              escalatedAt: null,
+            };
+            // The next responses of the check rotate past these reviewers
+            reviewerRecords?.push({ assignment });
+          }
+        }
+        const newRecord = {
+          responseId: response.responseId,
+          lastSubmittedTime: response.lastSubmittedTime,
+          response: formattedResponse,
+          ...(assignment && { assignment }),
+        };
+        // Applicants of reposted responses heard from us the first time
+        const delivery = partial?.delivery || {
+          startedAt: new Date().toISOString(),
+          notify: !record,
+        };
+
+        // The record is saved as soon as the thread exists, so a delivery
+        // failing halfway is finished in that thread instead of a new one
+        const { thread, messageIds } = await sendToDiscord(
           formattedResponse,
           formId,
-          responseTrack
+          formDetails,
+          files,
+          assignment?.reviewerIds || [],
+          {
+            resume: partial && {
+              threadId: partial.threadId,
+              messageIds: partial.messageIds,
+              filesPosted: partial.delivery.filesPosted,
+            },
+            onProgress: ({ thread, messageIds, filesPosted }) =>
+              store.saveResponse(formId, {
+                ...newRecord,
+                threadId: thread.id,
+                messageIds: [...messageIds],
+                delivery: { ...delivery, filesPosted },
+              }),
+          }
         );
+        responsesPostedTotal.inc({ form: formId, kind: "new" });
 
-        if (!threadCreated) {
-          logger.warn(
-            `Failed to create thread for response ${formattedResponse.responseId} submitted on ${formattedResponse.Submitted}`
-          );
+        await store.saveResponse(formId, {
+          ...newRecord,
+          threadId: thread.id,
+          messageIds,
+        });
+
+        if (delivery.notify) {
+          await notifyApplicant("received", formId, formattedResponse);
         }
+        await store.removeFailure(formId, response.responseId);
+        return { outcome: "posted", threadId: thread.id };
       }
+    });
+  } catch (error) {
+    logger.warn(
+      `Failed to deliver response ${response.responseId} submitted on ${response.lastSubmittedTime}`
+    );
+    await recordFailure(formId, response, error, store);
+    return { outcome: "failed", threadId: null };
+  }
+}
+
+/**
+ * Fetch a single response of a form
+ * @param {Object} forms - Google Forms API client
+ * @param {string} formId - Google Form ID
+ * @param {string} responseId - Response ID
+ * @returns {Object} - The form response
+ */
+async function getResponse(forms, formId, responseId) {
+  const response = await retryPolicy.run(
+    () =>
+      timeGoogleCall("forms.responses.get", () =>
+        forms.forms.responses.get({ formId, responseId })
+      ),
+    `Fetching response ${responseId} of form ${formId}`
+  );
+  return response.data;
+}
+
+/**
+ * Try to deliver the retryable responses in a form's failed queue again.
+ * Permanent failures stay queued until an admin deals with them.
+ * @param {Object} auth - Google auth client
+ * @param {string} formId - Google Form ID
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @param {Object} store - Response store
+ * @param {Set<string>} skipIds - Responses already delivered in this check
+ */
+async function retryFailedResponses(
+  auth,
+  formId,
+  formDetails,
+  store,
+  skipIds
+) {
+  const failures = (await store.listFailures(formId)).filter(
+    (failure) => failure.retryable && !skipIds.has(failure.responseId)
+  );
+
+  if (failures.length > 0) {
+    logger.info(
+      `Retrying ${failures.length} failed responses for form ${formId}`
+    );
+  }
+
+  for (const failure of failures) {
+    await retryFailedResponse(auth, formId, formDetails, failure, store);
+  }
+}
+
+/**
+ * Fetch a response from the failed queue again and try to deliver it
+ * @param {Object} auth - Google auth client
+ * @param {string} formId - Google Form ID
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @param {Object} failure - Entry of the failed queue
+ * @param {Object} store - Response store
+ * @returns {boolean} - True if the response was delivered
+ */
+async function retryFailedResponse(auth, formId, formDetails, failure, store) {
+  const forms = createFormsClient(auth);
+  let response;
+
+  try {
+    response = await getResponse(forms, formId, failure.responseId);
+  } catch (error) {
+    await recordFailure(formId, failure, error, store);
+    return false;
+  }
+
+  const { outcome } = await deliverResponse(
+    response,
+    formDetails,
+    auth,
+    formId,
+    store
+  );
+  return outcome !== "failed";
+}
+
+/**
+ * Check a form for new and edited responses and deliver them
+ * @param {Object} auth - Google auth client
+ * @param {string} formId - Google Form ID
+ * @param {Object} store - Response store
+ * @param {Object} options
+ * @param {string|null} [options.since] - Post the responses submitted after
+ * this RFC3339 timestamp to new threads, tracked or not. Untracked responses
+ * since the watermark are posted as usual.
+ * @param {boolean} [options.dryRun] - Only count what would be delivered,
+ * without posting or saving anything
+ * @returns {Object} - Summary of the check: the form's title, how many
+ * responses were seen, posted, updated, skipped and failed, the threads
+ * posted to and the error that ended the check, if any
+ */
+async function checkNewResponses(
+  auth,
+  formId,
+  store,
+  { since = null, dryRun = false } = {}
+) {
+  const forms = createFormsClient(auth);
+  let formName = formId;
+  let formDetails;
+  const summary = {
+    formId,
+    title: formId,
+    seen: 0,
+    posted: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    threadIds: [],
+    error: null,
+  };
+
+  try {
+    // Get form details first to get the form name
+    formDetails = await getFormDetails(auth, formId);
+    if (formDetails && formDetails.info) {
+      formName = formDetails.info.title;
+      summary.title = formName;
+      formTitles.set(formId, formName);
+    } else {
+      // Responses can't be formatted without the form's questions
+      logger.warn(
+        `Unable to fetch form details for ${formId}. Skipping this check.`
+      );
+      summary.error = "Unable to fetch form details";
+      recordCheck(formId, new Error(summary.error));
+      return summary;
+    }
+
+    logger.info(
+      `Checking Google Form API for new responses on form "${formName}"${
+        since ? ` submitted after ${since}` : ""
+      }${dryRun ? " (dry run)" : ""}`
+    );
+
+    const watermark = await store.getWatermark(formId);
+    // Responses between the watermark and a later since are still listed, or
+    // untracked ones among them would never be posted
+    const listFrom =
+      since && watermark && new Date(since) < new Date(watermark)
+        ? since
+        : watermark;
+    const responses = await listResponses(forms, formId, listFrom);
+    summary.seen = responses.length;
+
+    if (!dryRun) {
+      await retryFailedResponses(
+        auth,
+        formId,
+        formDetails,
+        store,
+        new Set(responses.map((r) => r.responseId))
+      );
+    }
+
+    if (responses.length === 0) {
+      logger.info(`No responses found for form "${formName}".`);
+      recordCheck(formId);
+      return summary;
+    }
 
-      return true;
+    // Use responseId for comparison instead of submission date
+    const trackedIds = await store.getTrackedIds(formId);
+    const newResponses = responses.filter(
+      (r) => !trackedIds.has(r.responseId)
+    );
+
+    if (newResponses.length > 0) {
+      logger.info(
+        `Found ${newResponses.length} new responses for form "${formName}"`
+      );
     } else {
       logger.info(`No new responses for form "${formName}"`);
-      return false;
     }
+
+    // Sort responses by submission time (oldest first)
+    responses.sort(
+      (a, b) => new Date(a.lastSubmittedTime) - new Date(b.lastSubmittedTime)
+    );
+
+    // Reviewers are picked from the records loaded once for the whole check
+    const reviewerRecords =
+      !dryRun && config.forms[formId]?.reviewers && newResponses.length > 0
+        ? [...(await store.listResponses(formId))]
+        : null;
+
+    // Responses that fail to deliver are kept in the failed queue, so the
+    // watermark can move past them
+    for (const response of responses) {
+      const repost =
+        Boolean(since) &&
+        new Date(response.lastSubmittedTime) > new Date(since);
+      let delivery;
+      if (dryRun) {
+        delivery = await previewDelivery(response, formId, store, repost);
+      } else {
+        delivery = await deliverResponse(
+          response,
+          formDetails,
+          auth,
+          formId,
+          store,
+          reviewerRecords,
+          repost
+        );
+      }
+      const { outcome, threadId } = delivery;
+
+      summary[outcome === "unchanged" ? "skipped" : outcome]++;
+      if (threadId) {
+        summary.threadIds.push(threadId);
+      }
+    }
+
+    // A backfill can list responses from before the watermark
+    const lastSubmittedTime = responses.at(-1).lastSubmittedTime;
+    if (
+      !dryRun &&
+      (!watermark || new Date(lastSubmittedTime) > new Date(watermark))
+    ) {
+      await store.setWatermark(formId, lastSubmittedTime);
+    }
+    recordCheck(formId);
+
+    return summary;
   } catch (error) {
     handleApiError(error, `Error checking responses for form "${formName}"`);
-    return false;
+    summary.error = error.message;
+    recordCheck(formId, error);
+    return summary;
+  }
+}
+
+/**
+ * Tell what delivering a response would do, for dry runs
+ * @param {Object} response - Response from the Forms API
+ * @param {string} formId - Google Form ID
+ * @param {Object} store - Response store
+ * @param {boolean} repost - Whether tracked responses would be reposted
+ * @returns {{outcome: string, threadId: null}} - Outcome as deliverResponse
+ * would report it
+ */
+async function previewDelivery(response, formId, store, repost) {
+  const record = await store.getResponse(formId, response.responseId);
+  let outcome = "posted";
+  if (record && !repost && !record.delivery) {
+    outcome =
+      record.lastSubmittedTime === response.lastSubmittedTime
+        ? "unchanged"
+        : "updated";
+  }
+  return { outcome, threadId: null };
+}
+
+/**
+ * Describe the checks run by /check, with links to the threads posted to
+ * @param {Object[]} summaries - Summaries from checkNewResponses
+ * @param {boolean} dryRun - Whether the checks only counted responses
+ * @returns {string} - Message content within Discord's length limit
+ */
+function formatCheckSummary(summaries, dryRun) {
+  const lines = dryRun ? ["**Dry run**: nothing was posted or saved."] : [];
+
+  for (const summary of summaries) {
+    if (summary.error) {
+      lines.push(
+        `**${summary.title}**: check failed, ${truncate(summary.error, 200)}`
+      );
+      continue;
+    }
+
+    const counts = [
+      `${summary.seen} seen`,
+      `${summary.posted} ${dryRun ? "to post" : "posted"}`,
+      ...(summary.updated > 0
+        ? [`${summary.updated} ${dryRun ? "to update" : "updated"}`]
+        : []),
+      `${summary.skipped} skipped`,
+      ...(dryRun ? [] : [`${summary.failed} failed`]),
+    ];
+    lines.push(`**${summary.title}**: ${counts.join(", ")}`);
+    if (summary.threadIds.length > 0) {
+      lines.push(summary.threadIds.map((id) => `<#${id}>`).join(" "));
+    }
+  }
+
+  return truncate(lines.join("\n"), 2000);
+}
+
+function formatFailure(failure) {
+  const lastFailedAt = Math.floor(new Date(failure.lastFailedAt) / 1000);
+  return `- \`${failure.responseId}\` (form \`${failure.formId}\`) - ${
+    failure.retryable ? "retryable" : "permanent"
+  }, ${failure.attempts} attempts, last <t:${lastFailedAt}:R>\n  ${truncate(
+    failure.reason,
+    200
+  )}`;
+}
+
+/**
+ * Handle a review button on a thread's starter message: record the decision
+ * or assignment in the response store, move the thread to the matching
+ * status tag and announce it in the thread
+ * @param {ButtonInteraction} interaction - The button interaction
+ * @param {Object} store - Response store
+ */
+async function handleReviewButton(interaction, store) {
+  const action = parseReviewAction(interaction.customId);
+  const found = await store.findResponseByThread(interaction.channelId);
+  if (!found) {
+    return interaction.reply({
+      content: "This thread has no tracked form response to review.",
+      ephemeral: true,
+    });
+  }
+
+  const { formId, record } = found;
+  const form = config.forms[formId] || config.defaults;
+  if (
+    !(await checkMemberRoles(
+      interaction,
+      form.reviewerRoles,
+      "review responses"
+    ))
+  ) {
+    return;
+  }
+
+  const { status } = REVIEW_ACTIONS[action];
+  const userId = interaction.user.id;
+  if (
+    status
+      ? record.review?.status === status
+      : record.review?.assigneeId === userId
+  ) {
+    return interaction.reply({
+      content: status
+        ? `This response is already marked as ${form.statusTags[status]}.`
+        : "This response is already assigned to you.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  await withRecordLock(formId, record.responseId, async () => {
+    const thread =
+      interaction.channel ||
+      (await discordClient.channels.fetch(interaction.channelId));
+    if (status) {
+      if (thread.archived) {
+        await thread.setArchived(false);
+      }
+      await setStatusTag(thread, form, status);
+    }
+
+    // The record may have changed while the thread was updated
+    const current = await store.getResponse(formId, record.responseId);
+    await store.saveResponse(
+      formId,
+      applyReviewAction(current, action, userId, new Date().toISOString())
+    );
+  });
+
+  if (status) {
+    await notifyApplicant(status, formId, record.response);
+  }
+
+  logger.info(
+    status
+      ? `${interaction.user.tag} marked response ${record.responseId} as ${form.statusTags[status]}`
+      : `${interaction.user.tag} assigned response ${record.responseId} to themselves`
+  );
+  await interaction.editReply({
+    content: status
+      ? `${REVIEW_ACTIONS[action].emoji} Marked as **${form.statusTags[status]}** by <@${userId}>.`
+      : `${REVIEW_ACTIONS[action].emoji} Assigned to <@${userId}>.`,
+    allowedMentions: { parse: [] },
+  });
+}
+
+/**
+ * Notify the applicant of a response of an event, if the form has notify
+ * settings that include it
+ * @param {string} event - One of NOTIFY_EVENTS
+ * @param {string} formId - Google Form ID
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ */
+async function notifyApplicant(event, formId, formattedResponse) {
+  const form = config.forms[formId];
+  if (!notifier || !form?.notify?.events.includes(event)) {
+    return;
+  }
+
+  const context = {
+    ...buildTemplateContext(formattedResponse, form, null),
+    formName: form.name,
+    status: form.statusTags[event] || null,
+  };
+  await notifier.notify(event, form.notify, formattedResponse, context);
+}
+
+/**
+ * Show the current tally of a vote in a thread, editing the tally message
+ * or posting it if there is none yet
+ * @param {ThreadChannel} thread - Thread of the response
+ * @param {Object} vote - Vote state of the response record
+ * @param {Object} form - Configuration of the thread's form
+ * @returns {string} - ID of the tally message
+ */
+async function updateTally(thread, vote, form) {
+  const message = {
+    embeds: [buildTallyEmbed(vote, form.voting, form.statusTags)],
+    allowedMentions: { parse: [] },
+  };
+
+  // The tally message may have been deleted
+  const existing = vote.tallyMessageId
+    ? await thread.messages.fetch(vote.tallyMessageId).catch(() => null)
+    : null;
+  if (existing) {
+    await retryPolicy.run(
+      () => existing.edit(message),
+      `Updating vote tally in thread ${thread.id}`
+    );
+    return existing.id;
+  }
+
+  const sent = await retryPolicy.run(
+    () => thread.send(message),
+    `Posting vote tally to thread ${thread.id}`
+  );
+  return sent.id;
+}
+
+/**
+ * Handle /vote in the thread of a response: record the member's vote and
+ * update the tally. Once enough members voted, the outcome's status tag is
+ * applied, the decision is saved like a review and voting closes.
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} store - Response store
+ */
+async function handleVoteCommand(interaction, store) {
+  const found = await store.findResponseByThread(interaction.channelId);
+  if (!found) {
+    return interaction.reply({
+      content: "Votes can only be cast in the thread of a form response.",
+      ephemeral: true,
+    });
+  }
+
+  const { formId, record } = found;
+  const form = config.forms[formId] || config.defaults;
+  if (!form.voting) {
+    return interaction.reply({
+      content: "Voting is not enabled for this form.",
+      ephemeral: true,
+    });
+  }
+  if (
+    !(await checkMemberRoles(
+      interaction,
+      form.voting.roles || form.reviewerRoles,
+      "vote"
+    ))
+  ) {
+    return;
+  }
+
+  const choice = interaction.options.getString("choice", true);
+  const comment = interaction.options.getString("comment");
+  const userId = interaction.user.id;
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const result = await withRecordLock(formId, record.responseId, async () => {
+    const current = await store.getResponse(formId, record.responseId);
+    if (current.vote?.outcome) {
+      return { closed: current.vote.outcome };
+    }
+
+    const now = new Date().toISOString();
+    const changed = Boolean(current.vote?.votes[userId]);
+    let vote = castVote(current.vote, userId, choice, comment, now);
+    const counts = tallyVotes(vote);
+    const outcome = decideVote(counts, form.voting);
+    if (outcome) {
+      vote = { ...vote, outcome, decidedAt: now };
+    }
+
+    const thread =
+      interaction.channel ||
+      (await discordClient.channels.fetch(interaction.channelId));
+    if (thread.archived) {
+      await thread.setArchived(false);
+    }
+    vote.tallyMessageId = await updateTally(thread, vote, form);
+
+    let updated = { ...current, vote };
+    if (outcome) {
+      await setStatusTag(thread, form, outcome);
+      updated = applyReviewAction(
+        updated,
+        outcome === "approved" ? "approve" : "reject",
+        null,
+        now
+      );
+      await retryPolicy.run(
+        () =>
+          thread.send({
+            content: `🗳️ The vote is decided: **${
+              form.statusTags[outcome]
+            }** with ${counts.aye} aye, ${counts.nay} nay and ${
+              counts.abstain
+            } abstaining.`,
+          }),
+        `Announcing vote outcome in thread ${thread.id}`
+      );
+      logger.info(
+        `Vote on response ${record.responseId} decided: ${form.statusTags[outcome]}`
+      );
+    }
+
+    await store.saveResponse(formId, updated);
+    return { changed, outcome };
+  });
+
+  if (result.closed) {
+    return interaction.editReply({
+      content: `Voting on this response is closed: ${
+        form.statusTags[result.closed]
+      }.`,
+    });
+  }
+
+  if (result.outcome) {
+    await notifyApplicant(result.outcome, formId, record.response);
+  }
+
+  const { label, emoji } = VOTE_CHOICES[choice];
+  await interaction.editReply({
+    content: `${emoji} Your vote (${label}) was ${
+      result.changed ? "changed" : "recorded"
+    }.`,
+  });
+}
+
+/**
+ * Handle the /check command: check one or all forms of the guild, optionally
+ * reposting the responses submitted after a date or only counting what
+ * would be posted, and reply with a summary per form
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} auth - Google auth client
+ * @param {Object} store - Response store
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ */
+async function handleCheckCommand(interaction, auth, store, scheduler) {
+  const formId = interaction.options.getString("form");
+  const sinceOption = interaction.options.getString("since");
+  const dryRun = interaction.options.getBoolean("dry_run") || false;
+
+  if (formId && !config.forms[formId]) {
+    return interaction.reply({
+      content: `Form \`${formId}\` is not mapped.`,
+      ephemeral: true,
+    });
+  }
+  if (formId && !(await checkFormGuild(interaction, formId))) {
+    return;
+  }
+
+  let since = null;
+  if (sinceOption) {
+    const date = parseDateOption(sinceOption);
+    if (!date) {
+      return interaction.reply({
+        content: `"${sinceOption}" is not a date. Use a date such as 2024-05-01 or 2024-05-01T12:00:00Z.`,
+        ephemeral: true,
+      });
+    }
+    since = date.toISOString();
+  }
+
+  const formIds = Object.keys(config.forms).filter((id) =>
+    formId ? id === formId : config.forms[id].guildId === interaction.guildId
+  );
+  if (formIds.length === 0) {
+    return interaction.reply({
+      content: "No forms are mapped in this server. Add one with `/forms add`.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  logger.info(
+    `Manual check of ${formId ? `form ${formId}` : "all forms"}${
+      since ? ` since ${since}` : ""
+    }${dryRun ? " (dry run)" : ""} triggered by ${interaction.user.tag}`
+  );
+
+  const summaries = await checkForms(
+    scheduler,
+    formIds,
+    since || dryRun
+      ? (id) => checkNewResponses(auth, id, store, { since, dryRun })
+      : null
+  );
+
+  await interaction.editReply({
+    content: formatCheckSummary(summaries, dryRun),
+    ephemeral: true,
+  });
+}
+
+/**
+ * Read a date given as a command option
+ * @param {string} value - e.g. 2024-05-01 or 2024-05-01T12:00:00Z
+ * @returns {Date|null} - The date, or null if it can't be read
+ */
+function parseDateOption(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Suggest the guild's mapped forms for the form option of /check and
+ * /search, by title
+ * @param {AutocompleteInteraction} interaction - The autocomplete interaction
+ */
+async function handleFormAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = Object.entries(config.forms)
+    .filter(([, form]) => form.guildId === interaction.guildId)
+    .map(([formId, form]) => ({
+      name: truncate(
+        `${formTitles.get(formId) || form.name || formId} (${formId})`,
+        100
+      ),
+      value: formId,
+    }))
+    .filter((choice) => choice.name.toLowerCase().includes(focused))
+    .slice(0, 25);
+
+  await interaction.respond(choices);
+}
+
+// Results of recent searches, browsed with the page buttons, by search ID
+const searchResults = new Map();
+
+/**
+ * Find the guild's forms a member may search: all of them with the admin
+ * role, otherwise those the member has a reviewer role of
+ * @param {CommandInteraction} interaction - The command interaction
+ * @returns {Promise<string[]>} - Google Form IDs
+ */
+async function getSearchableFormIds(interaction) {
+  const adminRole = await getAdminRole(interaction.guild);
+  const isAdmin = adminRole && interaction.member.roles.cache.has(adminRole.id);
+  const formIds = [];
+
+  for (const [formId, form] of Object.entries(config.forms)) {
+    if (form.guildId !== interaction.guildId) {
+      continue;
+    }
+    if (isAdmin) {
+      formIds.push(formId);
+      continue;
+    }
+    for (const roleIdentifier of form.reviewerRoles || []) {
+      const role = await findRole(interaction.guild, roleIdentifier);
+      if (role && interaction.member.roles.cache.has(role.id)) {
+        formIds.push(formId);
+        break;
+      }
+    }
+  }
+
+  return formIds;
+}
+
+/**
+ * Handle the /search command: find the tracked responses of the guild's
+ * forms matching a query and show the first page of results
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} store - Response store
+ */
+async function handleSearchCommand(interaction, store) {
+  const query = interaction.options.getString("query", true);
+  const formId = interaction.options.getString("form");
+  const dates = {};
+
+  for (const name of ["from", "to"]) {
+    const value = interaction.options.getString(name);
+    if (!value) {
+      continue;
+    }
+    const date = parseDateOption(value);
+    if (!date) {
+      return interaction.reply({
+        content: `"${value}" is not a date. Use a date such as 2024-05-01.`,
+        ephemeral: true,
+      });
+    }
+    dates[name] = date.toISOString().slice(0, 10);
+  }
+
+  const searchable = await getSearchableFormIds(interaction);
+  if (searchable.length === 0) {
+    return interaction.reply({
+      content:
+        "You need the admin role or the reviewer role of a form to search responses.",
+      ephemeral: true,
+    });
+  }
+  if (formId && !searchable.includes(formId)) {
+    return interaction.reply({
+      content: `Form \`${formId}\` is not a form you can search in this server.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const entries = [];
+  for (const id of formId ? [formId] : searchable) {
+    for (const record of await store.listResponses(id)) {
+      entries.push({ formId: id, form: config.forms[id], record });
+    }
+  }
+  const matches = searchResponses(entries, query, dates);
+  logger.debug(
+    `Search "${query}" by ${interaction.user.tag} matched ${matches.length} responses`
+  );
+
+  // Searches older than SEARCH_TTL can't be browsed anymore
+  const now = Date.now();
+  for (const [searchId, search] of searchResults) {
+    if (now - search.createdAt > SEARCH_TTL) {
+      searchResults.delete(searchId);
+    }
+  }
+  const search = {
+    searchId: interaction.id,
+    query,
+    guildId: interaction.guildId,
+    matches,
+    createdAt: now,
+  };
+  if (matches.length > 0) {
+    searchResults.set(search.searchId, search);
+  }
+
+  await interaction.editReply(renderSearchPage(search, 0));
+}
+
+/**
+ * Build a page of a search kept in searchResults
+ * @param {Object} search - The search
+ * @param {number} page - Page to show, from 0
+ * @returns {Object} - Reply with the page's embed and buttons
+ */
+function renderSearchPage({ searchId, query, guildId, matches }, page) {
+  return buildSearchPage(matches, page, {
+    searchId,
+    query,
+    guildId,
+    getFormTitle: (formId) =>
+      formTitles.get(formId) || config.forms[formId]?.name || formId,
+  });
+}
+
+/**
+ * Show another page of a search's results
+ * @param {ButtonInteraction} interaction - The page button interaction
+ */
+async function handleSearchButton(interaction) {
+  const { searchId, page } = parseSearchAction(interaction.customId);
+  const search = searchResults.get(searchId);
+
+  if (!search || Date.now() - search.createdAt > SEARCH_TTL) {
+    return interaction.reply({
+      content: "These results have expired. Run `/search` again.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.update(renderSearchPage(search, page));
+}
+
+/**
+ * Handle the /status command: the check status, tracked responses and
+ * failed queue of each form of the guild, as ephemeral embeds
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} auth - Google auth client
+ * @param {Object} store - Response store
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ */
+async function handleStatusCommand(interaction, auth, store, scheduler) {
+  const formIds = Object.keys(config.forms).filter(
+    (formId) => config.forms[formId].guildId === interaction.guildId
+  );
+
+  if (formIds.length === 0) {
+    return interaction.reply({
+      content: "No forms are mapped in this server. Add one with `/forms add`.",
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const statuses = await Promise.all(
+    formIds.map(async (formId) => {
+      const form = config.forms[formId];
+      const [formDetails, tracked, failures] = await Promise.all([
+        getFormDetails(auth, formId),
+        store.countResponses(formId),
+        store.listFailures(formId),
+      ]);
+
+      return {
+        formId,
+        title: formDetails?.info?.title || form.name || formId,
+        form,
+        check: checkStatus.get(formId) || null,
+        tracked,
+        failed: failures.length,
+        retryable: failures.filter((failure) => failure.retryable).length,
+        nextRun: scheduler.getNextRun(formId),
+        running: scheduler.isRunning(formId),
+      };
+    })
+  );
+
+  // A message holds at most 10 embeds
+  const embeds = buildStatusEmbeds(statuses);
+  await interaction.editReply({ embeds: embeds.slice(0, 10) });
+  for (let start = 10; start < embeds.length; start += 10) {
+    await interaction.followUp({
+      embeds: embeds.slice(start, start + 10),
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Handle the /failed list, retry and drop subcommands
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} auth - Google auth client
+ * @param {Object} store - Response store
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ */
+async function handleFailedCommand(interaction, auth, store, scheduler) {
+  const subcommand = interaction.options.getSubcommand();
+  // Each guild only sees the failures of its own forms
+  const failures = (await store.listFailures()).filter(
+    (failure) => config.forms[failure.formId]?.guildId === interaction.guildId
+  );
+
+  if (subcommand === "list") {
+    if (failures.length === 0) {
+      return interaction.reply({
+        content: "The failed queue is empty.",
+        ephemeral: true,
+      });
+    }
+
+    let content = `**${failures.length} responses in the failed queue**\n`;
+    for (const [index, failure] of failures.entries()) {
+      const line = `${formatFailure(failure)}\n`;
+      if (content.length + line.length > 1900) {
+        content += `...and ${failures.length - index} more`;
+        break;
+      }
+      content += line;
+    }
+
+    return interaction.reply({ content, ephemeral: true });
+  }
+
+  const responseId = interaction.options.getString("response", true);
+
+  if (subcommand === "drop") {
+    const failure = failures.find((f) => f.responseId === responseId);
+    if (!failure) {
+      return interaction.reply({
+        content: `Response \`${responseId}\` is not in the failed queue.`,
+        ephemeral: true,
+      });
+    }
+
+    await store.removeFailure(failure.formId, responseId);
+    logger.info(
+      `Response ${responseId} dropped from the failed queue by ${interaction.user.tag}`
+    );
+    return interaction.reply({
+      content: `Dropped response \`${responseId}\` from the failed queue. It will not be posted.`,
+      ephemeral: true,
+    });
+  }
+
+  // subcommand === "retry"
+  const selected =
+    responseId === "all"
+      ? failures
+      : failures.filter((f) => f.responseId === responseId);
+
+  if (selected.length === 0) {
+    return interaction.reply({
+      content:
+        responseId === "all"
+          ? "The failed queue is empty."
+          : `Response \`${responseId}\` is not in the failed queue.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  logger.info(
+    `Retry of ${selected.length} failed responses triggered by ${interaction.user.tag}`
+  );
+
+  const formDetails = {};
+  let delivered = 0;
+
+  for (const failure of selected) {
+    if (!(failure.formId in formDetails)) {
+      formDetails[failure.formId] = await getFormDetails(auth, failure.formId);
+    }
+    if (!formDetails[failure.formId]) {
+      continue;
+    }
+
+    const retried = await scheduler.runExclusive(failure.formId, () =>
+      retryFailedResponse(
+        auth,
+        failure.formId,
+        formDetails[failure.formId],
+        failure,
+        store
+      )
+    );
+    if (retried) {
+      delivered++;
+    }
+  }
+
+  const remaining = selected.length - delivered;
+  await interaction.editReply({
+    content: `Retried ${selected.length} responses: ${delivered} posted, ${remaining} still failing.`,
+    ephemeral: true,
+  });
+}
+
+/**
+ * Find when someone other than the bot last posted in a thread
+ * @param {ThreadChannel} thread - Thread of a response
+ * @returns {number} - Time of the last post, or of the thread's creation if
+ * nobody posted yet (ms)
+ */
+async function getLastActivity(thread) {
+  const messages = await retryPolicy.run(
+    () => thread.messages.fetch({ limit: 100 }),
+    `Fetching messages of thread ${thread.id}`
+  );
+  const posts = messages.filter(
+    (message) => message.author.id !== discordClient.user.id
+  );
+  return Math.max(
+    thread.createdTimestamp,
+    ...posts.map((message) => message.createdTimestamp)
+  );
+}
+
+/**
+ * Remind the reviewers of a response if its thread has been quiet for too
+ * long, or tag the admin role if it has been quiet for longer still
+ * @param {string} formId - Google Form ID
+ * @param {Object} form - Configuration of the form
+ * @param {string} responseId - Response ID
+ * @param {Object} store - Response store
+ */
+async function sendReminder(formId, form, responseId, store) {
+  const record = await store.getResponse(formId, responseId);
+  const thread = await retryPolicy.run(
+    () => discordClient.channels.fetch(record.threadId),
+    `Fetching thread ${record.threadId}`
+  );
+  const lastActivity = await getLastActivity(thread);
+  const now = Date.now();
+  const action = getOverdueAction(record, form.reviewers, lastActivity, now);
+  if (!action) {
+    return;
+  }
+
+  const days = Math.floor((now - lastActivity) / (24 * 60 * 60 * 1000));
+  const { reviewerIds } = record.assignment;
+  const reviewers = reviewerIds.map((id) => `<@${id}>`).join(" ");
+
+  if (action === "remind") {
+    await retryPolicy.run(
+      () =>
+        thread.send({
+          content: `${reviewers} Reminder: this submission has had no posts for ${days} days.`,
+          allowedMentions: { users: reviewerIds },
+        }),
+      `Reminding reviewers in thread ${thread.id}`
+    );
+  } else {
+    const adminRole = await getAdminRole(thread.guild);
+    await retryPolicy.run(
+      () =>
+        thread.send({
+          content: `${
+            adminRole ? `<@&${adminRole.id}> ` : ""
+          }This submission has had no posts for ${days} days. Assigned reviewers: ${reviewers}`,
+          allowedMentions: { roles: adminRole ? [adminRole.id] : [] },
+        }),
+      `Escalating thread ${thread.id}`
+    );
+  }
+
+  logger.info(
+    `${action === "remind" ? "Reminded reviewers of" : "Escalated"} response ${
+      record.responseId
+    } after ${days} days without posts`
+  );
+  const sentAt = action === "remind" ? "remindedAt" : "escalatedAt";
+  await store.saveResponse(formId, {
+    ...record,
+    assignment: { ...record.assignment, [sentAt]: new Date(now).toISOString() },
+  });
+}
+
+/**
+ * Send the reminders and escalations due for open responses of forms with
+ * remindAfter or escalateAfter settings
+ * @param {Object} store - Response store
+ */
+async function sendReminders(store) {
+  for (const [formId, form] of Object.entries(config.forms)) {
+    if (!form.reviewers?.remindAfter && !form.reviewers?.escalateAfter) {
+      continue;
+    }
+
+    const records = await store.listResponses(formId);
+    for (const record of records) {
+      if (!record.threadId || !record.assignment || !isOpen(record)) {
+        continue;
+      }
+      try {
+        await guildContext.run(form.guildId, () =>
+          withRecordLock(formId, record.responseId, () =>
+            sendReminder(formId, form, record.responseId, store)
+          )
+        );
+      } catch (error) {
+        logger.error(
+          `Error checking thread ${record.threadId} for reminders: ${error.message}`,
+          { guildId: form.guildId }
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Check forms for new responses right away
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ * @param {string[]} formIds - Google Form IDs
+ * @param {Function|null} check - Check to run instead of the regular one,
+ * called with the form ID
+ * @returns {Object[]} - Summaries of the checks that ran, see
+ * checkNewResponses
+ */
+async function checkForms(scheduler, formIds, check = null) {
+  // The scheduler joins regular checks already running and limits their
+  // concurrency. Other checks wait for running ones and run one at a time.
+  const results = [];
+  const run = (formId) =>
+    (check
+      ? scheduler.runExclusive(formId, () => check(formId))
+      : scheduler.run(formId)
+    ).catch((error) => {
+      logger.error(`Error processing form ${formId}: ${error.message}`);
+      return null;
+    });
+
+  if (check) {
+    for (const formId of formIds) {
+      results.push(await run(formId));
+    }
+  } else {
+    results.push(...(await Promise.all(formIds.map(run))));
+  }
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Create the scheduler running form checks, with each mapped form on its
+ * configured schedule or the default interval
+ * @param {Object} auth - Google auth client
+ * @param {Object} store - Response store
+ * @returns {FormScheduler} - The scheduler, not started yet
+ */
+function createScheduler(auth, store) {
+  const scheduler = new FormScheduler({
+    maxConcurrency: MAX_CONCURRENT_CHECKS,
+    logger,
+    runCheck: (formId) =>
+      guildContext.run(config.forms[formId]?.guildId, () =>
+        checkNewResponses(auth, formId, store)
+      ),
+  });
+
+  for (const [formId, form] of Object.entries(config.forms)) {
+    scheduler.setSchedule(formId, getSchedule(form));
+  }
+
+  return scheduler;
+}
+
+function getSchedule(form) {
+  // In push mode notifications trigger the checks, and forms are only
+  // polled when nothing was heard of them for PUSH_FALLBACK_INTERVAL
+  return (
+    form.schedule || {
+      interval: PUSH_MODE ? PUSH_FALLBACK_INTERVAL : CHECK_INTERVAL,
+    }
+  );
+}
+
+/**
+ * Switch to a new configuration without a restart. Removed forms are
+ * unscheduled and unwatched, new forms are checked right away and changed
+ * schedules take effect from now. Commands are registered in added guilds
+ * and removed from removed ones.
+ * @param {Object} newConfig - Configuration from loadConfig or setForm
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ * @param {WatchManager|null} watchManager - Watch manager in push mode
+ */
+async function applyConfig(newConfig, scheduler, watchManager) {
+  const previous = config;
+  config = newConfig;
+
+  for (const [formId, form] of Object.entries(previous.forms)) {
+    if (!config.forms[formId]) {
+      scheduler.removeSchedule(formId);
+      await watchManager?.unwatch(formId);
+      logger.info(`Form ${formId} removed from the configuration`, {
+        guildId: form.guildId,
+      });
+    }
+  }
+
+  for (const [formId, form] of Object.entries(config.forms)) {
+    const before = previous.forms[formId];
+
+    if (!before) {
+      scheduler.setSchedule(formId, getSchedule(form));
+      await watchManager?.watch(formId);
+      logger.info(`Form ${formId} added to the configuration`, {
+        guildId: form.guildId,
+      });
+      scheduler.run(formId).catch((error) => {
+        logger.error(`Error processing form ${formId}: ${error.message}`, {
+          guildId: form.guildId,
+        });
+      });
+    } else if (
+      JSON.stringify(before.schedule) !== JSON.stringify(form.schedule)
+    ) {
+      scheduler.setSchedule(formId, getSchedule(form));
+    }
+  }
+
+  // Guilds only get commands once the bot has logged in
+  if (discordClient.isReady()) {
+    for (const guildId of Object.keys(config.guilds)) {
+      if (!previous.guilds[guildId]) {
+        await registerCommands(guildId);
+      }
+    }
+    for (const guildId of Object.keys(previous.guilds)) {
+      if (!config.guilds[guildId]) {
+        await unregisterCommands(guildId);
+      }
+    }
+  }
+
+  logger.info(
+    `Loaded ${Object.keys(config.forms).length} forms from ${config.source}`
+  );
+}
+
+/**
+ * Reload the config file after it was edited. An invalid file is reported
+ * and the current configuration kept.
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ * @param {WatchManager|null} watchManager - Watch manager in push mode
+ */
+async function reloadConfig(scheduler, watchManager) {
+  let newConfig;
+  try {
+    newConfig = loadConfig(CONFIG_FILE, process.env, logger);
+  } catch (error) {
+    logger.error(`Config not reloaded: ${error.message}`);
+    return;
+  }
+
+  // Saves made by /forms trigger a reload of what is already applied
+  if (newConfig.document.toString() === config.document.toString()) {
+    return;
+  }
+
+  logger.info(`${newConfig.source} changed, reloading forms`);
+  await applyConfig(newConfig, scheduler, watchManager);
+}
+
+/**
+ * Run a response through the same pipeline as sendToDiscord, without posting
+ * or tracking anything
+ * @param {Object} auth - Google auth client
+ * @param {string} formId - Google Form ID
+ * @param {Object} form - Configuration of the form
+ * @param {string|null} responseId - Response to render, the first one if null
+ * @returns {Object} - The form title, question IDs, response ID and count,
+ * and the thread name, tags, messages and components that would be sent
+ * @throws {PermanentError} - When the form or response can't be fetched
+ */
+async function renderPreview(auth, formId, form, responseId) {
+  const formDetails = await getFormDetails(auth, formId);
+  if (!formDetails) {
+    throw new PermanentError(
+      `Form ${formId} could not be fetched. Make sure the service account can access it.`
+    );
+  }
+
+  const title = formDetails.info?.title || formId;
+  const forms = createFormsClient(auth);
+  let response;
+  let responseCount = null;
+
+  if (responseId) {
+    try {
+      response = await getResponse(forms, formId, responseId);
+    } catch (error) {
+      throw new PermanentError(
+        `Response ${responseId} of form "${title}" could not be fetched: ${error.message}`,
+        { cause: error }
+      );
+    }
+  } else {
+    const responses = await listResponses(forms, formId, null);
+    if (responses.length === 0) {
+      throw new PermanentError(`Form "${title}" has no responses yet.`);
+    }
+    responses.sort(
+      (a, b) => new Date(a.lastSubmittedTime) - new Date(b.lastSubmittedTime)
+    );
+    response = responses[0];
+    responseCount = responses.length;
+  }
+
+  const formattedResponse = await formatResponse(response, formDetails);
+  const { threadName, messages, components } = buildThreadContent(
+    formattedResponse,
+    form,
+    formDetails
+  );
+
+  return {
+    title,
+    questionIds: getQuestionIds(formDetails),
+    responseId: response.responseId,
+    responseCount,
+    threadName,
+    tags: [form.tag, form.statusTags.pending].filter(Boolean),
+    messages,
+    components,
+  };
+}
+
+/**
+ * List the buttons of message components as "label: url" lines, or only the
+ * label for buttons that aren't links
+ * @param {ActionRowBuilder[]} components - Components of a message
+ * @returns {string[]} - One line per button
+ */
+function describeButtons(components) {
+  return components.flatMap((row) =>
+    row
+      .toJSON()
+      .components.map((button) =>
+        button.url ? `${button.label}: ${button.url}` : button.label
+      )
+  );
+}
+
+/**
+ * Format a preview from renderPreview as plain text for the terminal
+ * @param {Object} preview - Preview from renderPreview
+ * @returns {string} - Everything that would be sent, message by message
+ */
+function formatPreviewText(preview) {
+  const buttons = describeButtons(preview.components);
+  const lines = [
+    `Form: ${preview.title}`,
+    `Response: ${preview.responseId}`,
+    `Thread name (${preview.threadName.length} chars): ${preview.threadName}`,
+    `Tags: ${preview.tags.join(", ") || "none"}`,
+    `Buttons:${buttons.map((button) => `\n  - ${button}`).join("") || " none"}`,
+  ];
+
+  lines.push(
+    "Question IDs:",
+    ...Object.entries(preview.questionIds).map(
+      ([question, questionId]) => `  - ${questionId}: ${question}`
+    )
+  );
+
+  for (const [index, message] of preview.messages.entries()) {
+    lines.push(
+      "",
+      `--- Message ${index + 1}/${preview.messages.length} (${getMessageLength(
+        message
+      )} chars)${index === 0 ? ", thread starter" : ""} ---`
+    );
+    if (message.content) {
+      lines.push(message.content);
+    }
+    for (const { data: embed } of message.embeds) {
+      lines.push(`[Embed${embed.title ? `: ${embed.title}` : ""}]`);
+      if (embed.description) {
+        lines.push(embed.description);
+      }
+      for (const field of embed.fields || []) {
+        lines.push(`  ${field.name}: ${field.value}`);
+      }
+      if (embed.footer) {
+        lines.push(`  -- ${embed.footer.text}`);
+      }
+    }
+    for (const file of message.files || []) {
+      lines.push(
+        `[Attachment: ${file.name} (${file.attachment.length} bytes)]`,
+        file.attachment.toString("utf8")
+      );
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Handle /preview: reply with every message a response's thread would get,
+ * as ephemeral messages
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} auth - Google auth client
+ */
+async function handlePreviewCommand(interaction, auth) {
+  const formId = interaction.options.getString("form", true);
+  const responseId = interaction.options.getString("response");
+
+  if (!(await checkFormGuild(interaction, formId))) {
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  let preview;
+  try {
+    preview = await renderPreview(
+      auth,
+      formId,
+      config.forms[formId] || config.defaults,
+      responseId
+    );
+  } catch (error) {
+    if (!(error instanceof PermanentError)) {
+      throw error;
+    }
+    return interaction.editReply({ content: error.message, ephemeral: true });
+  }
+
+  const buttons = describeButtons(preview.components);
+  await interaction.editReply({
+    content: truncate(
+      `**Preview of response \`${preview.responseId}\` of "${
+        preview.title
+      }"**${
+        config.forms[formId] ? "" : " (form not mapped, using the defaults)"
+      }\nThread name: **${preview.threadName}**\nTags: ${
+        preview.tags.join(", ") || "none"
+      }\nButtons: ${buttons.join(", ") || "none"}\nThe ${
+        preview.messages.length
+      } messages follow. Nothing was posted.`,
+      2000
+    ),
+    ephemeral: true,
+  });
+
+  for (const [index, message] of preview.messages.entries()) {
+    if (message.content.length > 2000) {
+      await interaction.followUp({
+        content: `Message ${index + 1} is ${
+          message.content.length
+        } characters long, over Discord's limit of 2000, and would fail to post.`,
+        ephemeral: true,
+      });
+      continue;
+    }
+    await interaction.followUp({
+      ...message,
+      components: index === 0 ? preview.components : [],
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Check that a form isn't mapped in another guild than the one of a command,
+ * replying with an error if it is. Unmapped forms may be used anywhere.
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {string} formId - Google Form ID
+ * @returns {boolean} - True if the form is unmapped or mapped in the guild
+ */
+async function checkFormGuild(interaction, formId) {
+  const form = config.forms[formId];
+  if (form && form.guildId !== interaction.guildId) {
+    await interaction.reply({
+      content: `Form \`${formId}\` is mapped in another server.`,
+      ephemeral: true,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Handle the /forms list, add, remove and test subcommands of a guild.
+ * Changes are saved to the config file and applied right away.
+ * @param {CommandInteraction} interaction - The command interaction
+ * @param {Object} auth - Google auth client
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ * @param {WatchManager|null} watchManager - Watch manager in push mode
+ */
+async function handleFormsCommand(interaction, auth, scheduler, watchManager) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === "list") {
+    const entries = Object.entries(config.forms).filter(
+      ([, form]) => form.guildId === interaction.guildId
+    );
+    if (entries.length === 0) {
+      return interaction.reply({
+        content: "No forms are mapped.",
+        ephemeral: true,
+      });
+    }
+
+    let content = `**${entries.length} forms** (from ${config.source})\n`;
+    for (const [index, [formId, form]] of entries.entries()) {
+      const nextRun = scheduler.getNextRun(formId);
+      const line = `- ${form.name ? `**${form.name}** ` : ""}\`${formId}\` → <#${
+        form.forum
+      }>${form.tag ? ` [${form.tag}]` : ""}${
+        nextRun ? `, next check <t:${Math.floor(nextRun / 1000)}:R>` : ""
+      }\n`;
+      if (content.length + line.length > 1900) {
+        content += `...and ${entries.length - index} more`;
+        break;
+      }
+      content += line;
+    }
+
+    return interaction.reply({ content, ephemeral: true });
   }
-}
 
-async function checkAllForms(auth, responseTrack) {
-  logger.info("Manually checking all forms for new responses");
+  const formId = interaction.options.getString("form", true);
 
-  let foundNew = false;
+  if (!(await checkFormGuild(interaction, formId))) {
+    return;
+  }
 
-  for (const formId of Object.keys(FORM_FORUM_MAPPING)) {
+  if (subcommand === "test") {
+    await interaction.deferReply({ ephemeral: true });
+    // Unmapped forms can be tried out before adding them
+    let preview;
     try {
-      const result = await checkNewResponses(auth, formId, responseTrack);
-      if (result) {
-        foundNew = true;
-      }
+      preview = await renderPreview(
+        auth,
+        formId,
+        config.forms[formId] || config.defaults,
+        null
+      );
     } catch (error) {
-      logger.error(`Error processing form ${formId}: ${error.message}`);
+      if (!(error instanceof PermanentError)) {
+        throw error;
+      }
+      return interaction.editReply({ content: error.message, ephemeral: true });
     }
-  }
-
-  return foundNew;
-}
-
-function sanitizeFileName(name) {
-  return name.replace(/[^a-zA-Z0-9-_.]/g, "_");
-}
 
-async function formatResponse(response, formDetails, auth) {
-  if (!formDetails || !Array.isArray(formDetails.items)) {
-    throw new Error("Form details are required but missing or invalid");
+    const [initialMessage, ...followUps] = preview.messages;
+    const header = `**Preview of "${preview.title}"** (first of ${
+      preview.responseCount
+    } responses)\nThread: **${preview.threadName}**\nTag: ${
+      preview.tags[0] || "none"
+    }\n\n`;
+    const footer =
+      followUps.length > 0
+        ? `\n\n*...followed by ${followUps.length} more messages*`
+        : "";
+
+    return interaction.editReply({
+      content: `${header}${truncate(
+        initialMessage.content,
+        2000 - header.length - footer.length
+      )}${footer}`,
+      embeds: initialMessage.embeds,
+      components: preview.components,
+      ephemeral: true,
+    });
   }
 
-  // Create formatted response starting with metadata
-  const formattedResponse = {
-    responseId: response.responseId,
-    Submitted: response.lastSubmittedTime.split("T")[0],
-  };
+  if (subcommand === "remove") {
+    if (!config.forms[formId]) {
+      return interaction.reply({
+        content: `Form \`${formId}\` is not mapped.`,
+        ephemeral: true,
+      });
+    }
 
-  // Create answers map for quick lookup
-  const answersMap = {};
-  for (const [questionId, answer] of Object.entries(response.answers)) {
-    answersMap[questionId] = answer;
+    await interaction.deferReply({ ephemeral: true });
+    const newConfig = removeForm(config, formId);
+    await saveConfig(newConfig);
+    await applyConfig(newConfig, scheduler, watchManager);
+    logger.info(`Form ${formId} removed by ${interaction.user.tag}`);
+    return interaction.editReply({
+      content: `Removed form \`${formId}\`. Its tracked responses are kept, so adding it again won't repost them.`,
+      ephemeral: true,
+    });
   }
 
-  // Process questions in form order
-  for (const item of formDetails.items) {
-    if (item.questionItem && item.questionItem.question) {
-      const questionId = item.questionItem.question.questionId;
-      const answer = answersMap[questionId];
-      const questionText = item.title;
-
-      if (!answer) continue; // Skip if no answer for this question
+  // subcommand === "add"
+  await interaction.deferReply({ ephemeral: true });
 
-      try {
-        if (answer.fileUploadAnswers) {
-          const fileAnswers = {};
-          for (const fileAnswer of answer.fileUploadAnswers.answers) {
-            const originalFileName = sanitizeFileName(fileAnswer.fileName);
-            fileAnswers[
-              originalFileName
-            ] = `https://drive.google.com/open?id=${fileAnswer.fileId}`;
-          }
-          formattedResponse[questionText] = fileAnswers;
-        } else if (answer.textAnswers) {
-          formattedResponse[questionText] = answer.textAnswers.answers
-            .map((a) => a.value)
-            .join(", ");
-        } else if (answer.scaleAnswers) {
-          formattedResponse[questionText] = answer.scaleAnswers.answers
-            .map((a) => a.value)
-            .join(", ");
-        } else if (answer.dateAnswers) {
-          formattedResponse[questionText] = answer.dateAnswers.answers
-            .map((a) => `${a.year}-${a.month}-${a.day}`)
-            .join(", ");
-        } else if (answer.timeAnswers) {
-          formattedResponse[questionText] = answer.timeAnswers.answers
-            .map((a) => `${a.hours}:${a.minutes}:${a.seconds}`)
-            .join(", ");
-        } else if (answer.choiceAnswers) {
-          formattedResponse[questionText] = answer.choiceAnswers.answers
-            .map((a) => a.value)
-            .join(", ");
-        }
-      } catch (error) {
-        logger.error(
-          `Error processing answer for question "${questionText}": ${error.message}`
-        );
-        formattedResponse[questionText] = "Error processing answer";
-      }
-    }
+  const formDetails = await getFormDetails(auth, formId);
+  if (!formDetails) {
+    return interaction.editReply({
+      content: `Form \`${formId}\` could not be fetched. Make sure the service account can access it.`,
+      ephemeral: true,
+    });
   }
 
-  return formattedResponse;
-}
+  // Settings only available in the config file are kept on update
+  const existing =
+    config.document
+      .getIn(getFormPath(config, interaction.guildId, formId))
+      ?.toJSON() || {};
+  const name = existing.name || formDetails.info?.title;
+  const tag = interaction.options.getString("tag");
+  const spreadsheetUrl = interaction.options.getString("spreadsheet");
+  const form = {
+    ...existing,
+    ...(name && { name }),
+    forum: interaction.options.getChannel("forum", true).id,
+    ...(tag && { tag }),
+    ...(spreadsheetUrl && { spreadsheetUrl }),
+  };
 
-function isValidSubstrateAddress(address) {
+  let newConfig;
   try {
-    encodeAddress(decodeAddress(address));
-    return true;
-  } catch {
-    return false;
+    newConfig = setForm(config, interaction.guildId, formId, form);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    return interaction.editReply({
+      content: `Form not saved:\n${error.problems
+        .map((problem) => `- ${problem}`)
+        .join("\n")}`,
+      ephemeral: true,
+    });
   }
-}
 
-function formatStringWithSubstrateAddresses(str) {
-  // This regex looks for strings that could be Substrate addresses
-  const potentialAddressRegex = /\b[1-9A-HJ-NP-Za-km-z]{47,48}\b/g;
+  const updated = Boolean(config.forms[formId]);
+  await saveConfig(newConfig);
+  if (config.source !== newConfig.source) {
+    logger.info(`Created ${newConfig.source} from ${config.source}`);
+  }
+  await applyConfig(newConfig, scheduler, watchManager);
+  logger.info(
+    `Form ${formId} ${updated ? "updated" : "added"} by ${interaction.user.tag}`
+  );
 
-  return str.replace(potentialAddressRegex, (match) => {
-    if (isValidSubstrateAddress(match)) {
-      return `[${match}](https://polkadot.subscan.io/account/${match})`;
-    }
-    return match;
+  return interaction.editReply({
+    content: `${updated ? "Updated" : "Added"} form "${
+      name || formId
+    }": responses are posted to <#${form.forum}>${
+      form.tag ? ` with tag ${form.tag}` : ""
+    }.`,
+    ephemeral: true,
   });
 }
 
-function cleanFileName(fileName) {
-  return (
-    fileName
-      // Replace multiple underscores with single space
-      .replace(/_+/g, " ")
-      // Replace remaining single underscores with spaces
-      .replace(/_/g, " ")
-      // Fix cases where we have ' - ' with extra spaces
-      .replace(/\s+-\s+/g, " - ")
-      // Clean up any double spaces that might have been created
-      .replace(/\s+/g, " ")
-      // Trim any leading/trailing spaces
-      .trim()
-  );
-}
-
 function handleApiError(error, context) {
   logger.error(`${context}: ${error.message}`);
-  if (error.response) {
-    const { status, data } = error.response;
+
+  // Errors from retryPolicy wrap the last API error
+  const apiError = error.cause || error;
+  if (apiError.response) {
+    const { status, data } = apiError.response;
     logger.error(`Status: ${status}, Data: ${JSON.stringify(data)}`);
 
     switch (status) {
       case 429:
-        logger.warn("Rate limit exceeded. Implementing exponential backoff...");
-        // Implement exponential backoff logic here
+        logger.warn(
+          `Rate limit still exceeded after ${error.attempts} attempts. Retrying on the next check...`
+        );
         break;
       case 403:
         logger.error(
@@ -907,156 +3095,538 @@ function handleApiError(error, context) {
   }
 }
 
+/**
+ * Start the notification endpoint and watch every mapped form, so new
+ * responses are checked as soon as Google reports them
+ * @param {Object} auth - Google auth client
+ * @param {FormScheduler} scheduler - Scheduler running the form checks
+ * @returns {{server: NotificationServer, watchManager: WatchManager}}
+ */
+async function startPushMode(auth, scheduler) {
+  if (!PUSH_TOPIC) {
+    throw new Error("PUSH_TOPIC must be set when PUSH_MODE is enabled");
+  }
+
+  const server = new NotificationServer({
+    port: PUSH_PORT,
+    path: PUSH_PATH,
+    token: PUSH_TOKEN,
+    logger,
+    onNotification: async ({ formId }) => {
+      if (!config.forms[formId]) {
+        logger.warn(`Notification for unmapped form ${formId} ignored`);
+        return;
+      }
+      // Runs after a check already in progress, which may have listed the
+      // responses before this one was submitted
+      await scheduler.run(formId);
+    },
+  });
+  await server.start();
+
+  const watchManager = new WatchManager({
+    auth,
+    topicName: PUSH_TOPIC,
+    logger,
+    retryPolicy,
+  });
+  await watchManager.watchAll(Object.keys(config.forms));
+
+  return { server, watchManager };
+}
+
+/**
+ * Report whether the bot is alive: connected to the Discord gateway, with
+ * the time of the last successful form check
+ * @returns {{ok: boolean, discord: Object, lastSuccessfulCheck: string|null}}
+ */
+function getHealth() {
+  const lastSuccess = [...checkStatus.values()]
+    .map((status) => status.lastSuccessAt)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+
+  return {
+    ok: discordClient.isReady(),
+    discord: { connected: discordClient.isReady() },
+    lastSuccessfulCheck: lastSuccess?.toISOString() || null,
+  };
+}
+
+/**
+ * Report whether the bot has finished starting and is checking forms
+ * @returns {{ok: boolean, started: boolean, discord: Object}}
+ */
+function getReadiness() {
+  return {
+    ok: started && discordClient.isReady(),
+    started,
+    discord: { connected: discordClient.isReady() },
+  };
+}
+
+/**
+ * Register the commands of a guild the bot serves and report problems with
+ * its log channel, admin role and forums
+ * @param {string} guildId - Discord guild ID
+ * @param {string|null} logChannel - Log channel ID or name of the guild
+ */
+async function setUpGuild(guildId, logChannel) {
+  let guild;
+  try {
+    guild = await discordClient.guilds.fetch(guildId);
+  } catch (error) {
+    logger.error(
+      `Guild ${guildId} could not be fetched, make sure the bot was added to it: ${error.message}`
+    );
+    return;
+  }
+
+  if (logChannel) {
+    const channel = await findChannel(discordClient, logChannel, guildId);
+    if (channel) {
+      logger.info(
+        `Discord logging to channel ${channel.name} (${channel.id}) enabled`
+      );
+    } else {
+      logger.warn(
+        `Log channel "${logChannel}" not found, Discord logging disabled`
+      );
+    }
+  } else {
+    logger.warn(
+      `No log channel set for ${guild.name}, Discord logging disabled`
+    );
+  }
+
+  // Register slash commands
+  await registerCommands(guildId);
+
+  // Log forum mappings with forum names and tags
+  const forumMappingsWithNames = {};
+  for (const [formId, form] of Object.entries(config.forms)) {
+    if (form.guildId !== guildId) {
+      continue;
+    }
+    try {
+      const forum = await discordClient.channels.fetch(form.forum);
+      forumMappingsWithNames[formId] = {
+        name: form.name || (forum ? forum.name : "Unknown Forum"),
+        tagName: form.tag || "No Tag",
+      };
+      if (forum && forum.guildId !== guildId) {
+        logger.warn(
+          `Forum of form ${formId} belongs to another guild than ${guild.name}`
+        );
+      }
+    } catch (error) {
+      forumMappingsWithNames[formId] = {
+        name: "Error fetching forum",
+        tagName: "Error",
+      };
+      logger.error(
+        `Error fetching forum for formId ${formId}: ${error.message}`
+      );
+    }
+  }
+  logger.info(
+    `Forum mappings of ${guild.name}: ${JSON.stringify(
+      forumMappingsWithNames,
+      null,
+      2
+    )}`
+  );
+
+  const adminRole = await getAdminRole(guild);
+  if (!adminRole) {
+    logger.warn(
+      "Admin role not found or not set. Admin role tagging will be skipped."
+    );
+  }
+}
+
 async function main() {
   try {
+    config = loadConfig(CONFIG_FILE, process.env, logger);
+    logger.info(
+      `Loaded ${Object.keys(config.forms).length} forms from ${config.source}`
+    );
+
+    if (HEALTH_PORT) {
+      await new HealthServer({
+        port: HEALTH_PORT,
+        host: HEALTH_HOST,
+        logger,
+        metrics,
+        getHealth,
+        getReadiness,
+      }).start();
+    }
+
     const auth = await authorize();
-    const responseTrack = await loadResponseTrack();
-    logger.info("Initial responseTrack loaded");
+    if (DOWNLOAD_FILES) {
+      fileDownloader = new FileDownloader({
+        auth,
+        logger,
+        retryPolicy,
+        maxSize: MAX_ATTACHMENT_SIZE,
+        archiveDir: FILE_ARCHIVE_DIR,
+      });
+      logger.info(
+        `Uploaded files are attached to threads${
+          FILE_ARCHIVE_DIR ? ` and archived to ${FILE_ARCHIVE_DIR}` : ""
+        }`
+      );
+    }
+    const transports = [new DiscordDmTransport({ client: discordClient })];
+    if (SMTP_HOST) {
+      transports.push(
+        new SmtpTransport({
+          host: SMTP_HOST,
+          port: SMTP_PORT,
+          secure: process.env.SMTP_SECURE === "true",
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+          from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        })
+      );
+      logger.info(`Applicant emails are sent through ${SMTP_HOST}`);
+    }
+    notifier = new Notifier({ transports, logger });
+    const store = await createResponseStore(RESPONSE_STORE, {
+      filePath:
+        RESPONSE_STORE === "sqlite" ? RESPONSE_DB_FILE : RESPONSE_TRACK_FILE,
+      logger,
+    });
+    logger.info(`Response store loaded (${RESPONSE_STORE})`);
+    const scheduler = createScheduler(auth, store);
+    // Set once push mode is running
+    let watchManager = null;
 
     discordClient.once("ready", async () => {
       logger.info("Discord bot is ready!");
       logger.info(`Logged in as ${discordClient.user.tag}`);
-      logger.info(`Serving in guild: ${process.env.DISCORD_GUILD_ID}`);
-
-      // Add Discord logging transport once client is ready
-      if (LOG_CHANNEL) {
-        const logChannel = await findChannel(discordClient, LOG_CHANNEL);
-        if (logChannel) {
-          logger.add(
-            new DiscordTransport({
-              client: discordClient,
-              level: "info",
-            })
-          );
-          logger.info(
-            `Discord logging to channel ${logChannel.name} (${logChannel.id}) enabled`
-          );
-        } else {
-          logger.warn(
-            `Log channel "${LOG_CHANNEL}" not found, Discord logging disabled`
-          );
-        }
-      } else {
-        logger.warn("LOG_CHANNEL not set in .env, Discord logging disabled");
+      logger.info(
+        `Serving in guilds: ${Object.keys(config.guilds).join(", ") || "none"}`
+      );
+
+      // Add Discord logging transport once client is ready. It finds the
+      // log channel of each guild when posting, so channels set in the
+      // config later are picked up too.
+      discordTransport = new DiscordTransport({
+        client: discordClient,
+        level: "info",
+      });
+      logger.add(discordTransport);
+
+      for (const [guildId, { logChannel }] of Object.entries(config.guilds)) {
+        await guildContext.run(guildId, () => setUpGuild(guildId, logChannel));
       }
+    });
+
+    discordClient.on("error", (error) => {
+      logger.error("Discord client error:", error);
+    });
 
-      // Register slash commands
-      await registerCommands();
+    // Handle slash commands
+    discordClient.on("interactionCreate", async (interaction) => {
+      // Log entries of the handling go to the guild's log channel
+      guildContext.enterWith(interaction.guildId);
 
-      // Log forum mappings with forum names and tags
-      const forumMappingsWithNames = {};
-      for (const [formId, mapping] of Object.entries(FORM_FORUM_MAPPING)) {
+      if (interaction.isButton() && parseReviewAction(interaction.customId)) {
         try {
-          let forumId, customName, tagName;
-          if (Array.isArray(mapping)) {
-            [forumId, customName, tagName] = mapping;
+          await handleReviewButton(interaction, store);
+        } catch (error) {
+          logger.error(`Error handling review button: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while recording the review. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
           } else {
-            forumId = mapping;
+            await interaction.reply(reply);
           }
+        }
+        return;
+      }
 
-          const forum = await discordClient.channels.fetch(forumId);
-          forumMappingsWithNames[formId] = {
-            name: customName || (forum ? forum.name : "Unknown Forum"),
-            tagName: tagName || "No Tag",
-          };
+      if (interaction.isButton() && parseSearchAction(interaction.customId)) {
+        try {
+          await handleSearchButton(interaction);
         } catch (error) {
-          forumMappingsWithNames[formId] = {
-            name: "Error fetching forum",
-            tagName: "Error",
-          };
-          logger.error(
-            `Error fetching forum for formId ${formId}: ${error.message}`
-          );
+          logger.error(`Error showing search results: ${error.message}`);
         }
+        return;
       }
-      logger.info(
-        "Forum mappings:",
-        JSON.stringify(forumMappingsWithNames, null, 2)
-      );
 
-      const guild = await discordClient.guilds.fetch(
-        process.env.DISCORD_GUILD_ID
-      );
-      const adminRole = await getAdminRole(guild);
-      if (!adminRole) {
-        logger.warn(
-          "Admin role not found or not set. Admin role tagging will be skipped."
-        );
+      if (interaction.isAutocomplete()) {
+        try {
+          if (["check", "search"].includes(interaction.commandName)) {
+            await handleFormAutocomplete(interaction);
+          }
+        } catch (error) {
+          logger.error(`Error suggesting forms: ${error.message}`);
+        }
+        return;
       }
-    });
-
-    discordClient.on("error", (error) => {
-      logger.error("Discord client error:", error);
-    });
 
-    // Handle slash commands
-    discordClient.on("interactionCreate", async (interaction) => {
-      if (!interaction.isCommand()) return;
+      if (!interaction.isCommand()) {
+        return;
+      }
 
       const { commandName } = interaction;
 
       if (commandName === "check") {
-        // Check if the user has the admin role
-        const adminRole = await getAdminRole(interaction.guild);
-        const hasAdminRole =
-          adminRole && interaction.member.roles.cache.has(adminRole.id);
-
-        if (!hasAdminRole) {
-          return interaction.reply({
-            content: `You need the ${
-              adminRole ? adminRole.name : "admin"
-            } role to use this command.`,
-            ephemeral: true,
-          });
+        if (!(await checkAdminRole(interaction))) {
+          return;
         }
 
-        await interaction.deferReply({ ephemeral: true });
-        logger.info(`Manual form check triggered by ${interaction.user.tag}`);
+        try {
+          await handleCheckCommand(interaction, auth, store, scheduler);
+        } catch (error) {
+          logger.error(`Error during manual check: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while checking forms. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
+          } else {
+            await interaction.reply(reply);
+          }
+        }
+      } else if (commandName === "search") {
+        try {
+          await handleSearchCommand(interaction, store);
+        } catch (error) {
+          logger.error(`Error handling /search command: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while searching responses. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
+          } else {
+            await interaction.reply(reply);
+          }
+        }
+      } else if (commandName === "status") {
+        if (!(await checkAdminRole(interaction))) {
+          return;
+        }
 
         try {
-          const foundNew = await checkAllForms(auth, responseTrack);
-          if (foundNew) {
-            await interaction.editReply({
-              content:
-                "Check complete! New form responses were found and processed.",
-              ephemeral: true,
-            });
+          await handleStatusCommand(interaction, auth, store, scheduler);
+        } catch (error) {
+          logger.error(`Error handling /status command: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while collecting the form status. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
           } else {
-            await interaction.editReply({
-              content: "Check complete! No new form responses were found.",
-              ephemeral: true,
-            });
+            await interaction.reply(reply);
           }
+        }
+      } else if (commandName === "failed") {
+        if (!(await checkAdminRole(interaction))) {
+          return;
+        }
+
+        try {
+          await handleFailedCommand(interaction, auth, store, scheduler);
         } catch (error) {
-          logger.error(`Error during manual check: ${error.message}`);
-          await interaction.editReply({
+          logger.error(`Error handling /failed command: ${error.message}`);
+          const reply = {
             content:
-              "An error occurred while checking forms. See logs for details.",
+              "An error occurred while handling the failed queue. See logs for details.",
             ephemeral: true,
-          });
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
+          } else {
+            await interaction.reply(reply);
+          }
+        }
+      } else if (commandName === "forms") {
+        if (!(await checkAdminRole(interaction))) {
+          return;
         }
-      }
-    });
 
-    await discordClient.login(process.env.DISCORD_BOT_TOKEN);
+        try {
+          await handleFormsCommand(
+            interaction,
+            auth,
+            scheduler,
+            watchManager
+          );
+        } catch (error) {
+          logger.error(`Error handling /forms command: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while updating the forms. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
+          } else {
+            await interaction.reply(reply);
+          }
+        }
+      } else if (commandName === "preview") {
+        if (!(await checkAdminRole(interaction))) {
+          return;
+        }
 
-    while (true) {
-      for (const formId of Object.keys(FORM_FORUM_MAPPING)) {
         try {
-          await checkNewResponses(auth, formId, responseTrack);
+          await handlePreviewCommand(interaction, auth);
+        } catch (error) {
+          logger.error(`Error handling /preview command: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while rendering the preview. See logs for details.",
+            ephemeral: true,
+          };
+          try {
+            if (interaction.deferred || interaction.replied) {
+              await interaction.editReply(reply);
+            } else {
+              await interaction.reply(reply);
+            }
+          } catch (replyError) {
+            logger.error(
+              `Error replying to /preview command: ${replyError.message}`
+            );
+          }
+        }
+      } else if (commandName === "vote") {
+        try {
+          await handleVoteCommand(interaction, store);
         } catch (error) {
-          logger.error(`Error processing form ${formId}: ${error.message}`);
+          logger.error(`Error handling /vote command: ${error.message}`);
+          const reply = {
+            content:
+              "An error occurred while recording your vote. See logs for details.",
+            ephemeral: true,
+          };
+          if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(reply);
+          } else {
+            await interaction.reply(reply);
+          }
         }
       }
-      await new Promise((resolve) => setTimeout(resolve, CHECK_INTERVAL));
+    });
+
+    await discordClient.login(process.env.DISCORD_BOT_TOKEN);
+
+    if (PUSH_MODE) {
+      ({ watchManager } = await startPushMode(auth, scheduler));
     }
+
+    scheduler.start();
+    started = true;
+    setInterval(
+      () =>
+        sendReminders(store).catch((error) => {
+          logger.error(`Error sending reminders: ${error.message}`);
+        }),
+      REMINDER_CHECK_INTERVAL
+    ).unref();
+    watchConfig(CONFIG_FILE, () =>
+      reloadConfig(scheduler, watchManager).catch((error) => {
+        logger.error(`Error reloading config: ${error.message}`);
+      })
+    );
   } catch (error) {
     logger.error(`Fatal error in main: ${error.message}`);
     process.exit(1);
   }
 }
 
-main().catch((error) => {
-  logger.error(`Unhandled error in main: ${error.message}`);
-  process.exit(1);
-});
+/**
+ * Print the thread a response would get, for `node src/bot.js --preview`.
+ * Neither Discord nor the response store is touched.
+ * @param {string} formId - Google Form ID
+ * @param {string|undefined} responseId - Response to render, the first one
+ * if omitted
+ */
+async function runPreview(formId, responseId) {
+  if (!formId) {
+    throw new Error("Usage: node src/bot.js --preview <formId> [responseId]");
+  }
+
+  // Only warnings, so the log doesn't get mixed into the preview
+  logger.level = "warn";
+  config = loadConfig(CONFIG_FILE, process.env, logger);
+  const auth = await authorize();
+  const preview = await renderPreview(
+    auth,
+    formId,
+    config.forms[formId] || config.defaults,
+    responseId || null
+  );
+  process.stdout.write(`${formatPreviewText(preview)}\n`);
+}
+
+/**
+ * Replace the clients and configuration the bot works with, to run its
+ * functions without main(). Options left out are kept.
+ * @param {Object} options
+ * @param {Client} [options.discord] - Discord client
+ * @param {Object} [options.forms] - Google Forms API client, used for every
+ * auth client
+ * @param {Object} [options.config] - Configuration from loadConfig
+ */
+function configureBot({ discord, forms, config: newConfig }) {
+  if (discord) {
+    discordClient = discord;
+  }
+  if (forms) {
+    createFormsClient = () => forms;
+  }
+  if (newConfig) {
+    config = newConfig;
+  }
+}
+
+// Only start when run directly, so the functions can be imported
+if (require.main === module) {
+  logToFile();
+  const previewIndex = process.argv.indexOf("--preview");
+
+  if (previewIndex !== -1) {
+    runPreview(...process.argv.slice(previewIndex + 1)).catch((error) => {
+      logger.error(`Preview failed: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    main().catch((error) => {
+      logger.error(`Unhandled error in main: ${error.message}`);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = {
+  configureBot,
+  main,
+  metrics,
+  getHealth,
+  checkNewResponses,
+  handleCheckCommand,
+  handleFailedCommand,
+  handleFormAutocomplete,
+  handleSearchCommand,
+  handleSearchButton,
+  handleStatusCommand,
+  createScheduler,
+  renderPreview,
+  formatPreviewText,
+};
@@ -0,0 +1,222 @@
+// Markdown that must not be cut in two: fenced code blocks, inline code,
+// links and bare URLs
+const PROTECTED_PATTERNS = [
+  /```[\s\S]*?```/g,
+  /`[^`\n]+`/g,
+  /\[[^\]\n]*\]\([^)\s]*\)/g,
+  /<?https?:\/\/[^\s>]+>?/g,
+];
+
+// Places to cut text at, best first: paragraphs, lines, sentences, words.
+// Each match starts at whitespace that is dropped when cutting there.
+const BOUNDARIES = [/\n\n/g, /\n/g, /(?<=[.!?]["')\]*_]*)\s/g, /\s/g];
+
+// Shortest piece of a long answer worth putting at the end of a message
+// rather than starting a new one
+const MIN_PIECE_LENGTH = 200;
+
+function findProtectedRanges(text) {
+  const ranges = [];
+  for (const pattern of PROTECTED_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Find where to cut text so the first piece has at most maxLength characters
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Maximum length of the first piece
+ * @param {number[][]} ranges - Protected ranges from findProtectedRanges
+ * @returns {number} - Index to cut at, or -1 if there is no boundary that
+ * leaves a reasonable piece
+ */
+function findCut(text, maxLength, ranges) {
+  const minLength = Math.min(MIN_PIECE_LENGTH, maxLength / 2);
+  let fallback = -1;
+
+  for (const boundary of BOUNDARIES) {
+    let cut = -1;
+    for (const match of text.matchAll(boundary)) {
+      if (match.index > maxLength) {
+        break;
+      }
+      if (
+        match.index > 0 &&
+        !ranges.some(([start, end]) => start < match.index && match.index < end)
+      ) {
+        cut = match.index;
+      }
+    }
+
+    // A worse kind of boundary is better than a very short piece
+    if (cut >= maxLength / 2) {
+      return cut;
+    }
+    if (fallback === -1 && cut >= minLength) {
+      fallback = cut;
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Cut the first piece of at most maxLength characters off text
+ * @param {string} text - Text longer than maxLength
+ * @param {number} maxLength - Maximum length of the piece
+ * @returns {string[]} - The piece and the rest of the text
+ */
+function splitOnce(text, maxLength) {
+  const ranges = findProtectedRanges(text);
+  const cut = findCut(text, maxLength, ranges);
+  if (cut > 0) {
+    return [text.slice(0, cut).trimEnd(), text.slice(cut).trimStart()];
+  }
+
+  // A code block longer than a message is closed at a line break and
+  // opened again in the next piece
+  const fence = ranges.find(
+    ([start, end]) =>
+      text.startsWith("```", start) && start < maxLength && end > maxLength
+  );
+  if (fence) {
+    const [start] = fence;
+    const opening = text.slice(start, text.indexOf("\n", start));
+    const lineBreak = text.lastIndexOf("\n", maxLength - 4);
+    if (lineBreak > start + opening.length) {
+      return [
+        `${text.slice(0, lineBreak)}\n\`\`\``,
+        `${opening}\n${text.slice(lineBreak + 1)}`,
+      ];
+    }
+  }
+
+  // Otherwise cut hard, but before a link or URL rather than through it
+  const range = ranges.find(
+    ([start, end]) => start > 0 && start < maxLength && end > maxLength
+  );
+  const index = range ? range[0] : maxLength;
+  return [text.slice(0, index), text.slice(index)];
+}
+
+/**
+ * Split text into pieces of at most maxLength characters at the best
+ * boundaries, without cutting code blocks, links or URLs where avoidable
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum length of a piece
+ * @returns {string[]} - The pieces
+ */
+function splitText(text, maxLength) {
+  const pieces = [];
+  let rest = text.trim();
+
+  while (rest.length > maxLength) {
+    const [piece, next] = splitOnce(rest, maxLength);
+    pieces.push(piece);
+    rest = next;
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+
+  return pieces;
+}
+
+/**
+ * Header repeated above the later pieces of a split section: its heading
+ * line when the section starts with one, or else its title in bold
+ * @param {{title: string, content: string}} section - Rendered section
+ * @returns {string}
+ */
+function getContinuationHeader(section) {
+  const [firstLine] = section.content.split("\n", 1);
+  const title = section.title.slice(0, 200);
+  return /^#+ /.test(firstLine) && firstLine.length <= 250
+    ? `${firstLine} (cont.)`
+    : `**${title} (cont.)**`;
+}
+
+/**
+ * Split a rendered section into pieces of at most maxLength characters, each
+ * but the first under a "(cont.)" header
+ * @param {{title: string, content: string}} section - Rendered section
+ * @param {number} maxLength - Maximum length of a piece
+ * @returns {string[]} - The pieces
+ */
+function splitSection(section, maxLength) {
+  const header = `${getContinuationHeader(section)}\n`;
+  const [first, ...rest] = splitText(section.content, maxLength);
+  if (rest.length === 0) {
+    return [first];
+  }
+
+  return [
+    first,
+    ...splitText(rest.join("\n\n"), maxLength - header.length).map(
+      (piece) => `${header}${piece}`
+    ),
+  ];
+}
+
+/**
+ * Pack rendered sections into messages in order. Sections are batched while
+ * they fit, and sections longer than a message are split over several.
+ * @param {Object[]} sections - Sections with a title and rendered content
+ * @param {Object} options
+ * @param {string} options.intro - Text opening the first message
+ * @param {number} options.firstLength - Maximum length of the first message
+ * @param {number} options.maxLength - Maximum length of the other messages
+ * @returns {string[]} - Contents of the messages
+ */
+function chunkSections(sections, { intro = "", firstLength, maxLength }) {
+  const messages = [intro];
+  const room = () => {
+    const current = messages.at(-1);
+    const limit = messages.length === 1 ? firstLength : maxLength;
+    return limit - current.length - (current ? 2 : 0);
+  };
+  const append = (text) => {
+    const current = messages.at(-1);
+    messages[messages.length - 1] = current ? `${current}\n\n${text}` : text;
+  };
+
+  for (const section of sections) {
+    const { content } = section;
+    if (content.length <= room()) {
+      append(content);
+      continue;
+    }
+    if (content.length <= maxLength && messages.at(-1)) {
+      messages.push(content);
+      continue;
+    }
+
+    // Too long for a message of its own: fill up the current message and
+    // continue in the next ones
+    const header = `${getContinuationHeader(section)}\n`;
+    let rest = content;
+    for (let prefix = ""; rest; prefix = header) {
+      if (room() - prefix.length < MIN_PIECE_LENGTH) {
+        messages.push("");
+      }
+      const space = room() - prefix.length;
+      if (rest.length <= space) {
+        append(`${prefix}${rest}`);
+        break;
+      }
+      const [piece, next] = splitOnce(rest, space);
+      append(`${prefix}${piece}`);
+      rest = next;
+      if (rest) {
+        messages.push("");
+      }
+    }
+  }
+
+  return messages;
+}
+
+module.exports = { splitText, splitSection, chunkSections };
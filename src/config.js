@@ -0,0 +1,666 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { parseSchedule } = require("./scheduler");
+const { DEFAULT_TEMPLATE, checkTemplate } = require("./templates");
+const { DEFAULT_STATUS_TAGS } = require("./review");
+const { NOTIFY_EVENTS, DEFAULT_MESSAGES } = require("./notify");
+
+const DEFAULT_PROJECT_NAME_KEYS = ["name of your project"];
+const DEFAULT_COST_KEYS = [
+  "total cost",
+  "budget",
+  "funding amount",
+  "requested amount",
+];
+
+const stringList = {
+  type: "array",
+  items: { type: "string", minLength: 1 },
+};
+
+const TEMPLATE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    title: { type: "string", minLength: 1 },
+    starter: { type: "string" },
+    section: { type: "string", minLength: 1 },
+    followUp: { type: "string", minLength: 1 },
+    hide: stringList,
+    order: stringList,
+  },
+};
+
+// Forum tag names are limited to 20 characters
+const tagName = { type: "string", minLength: 1, maxLength: 20 };
+
+const STATUS_TAGS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: Object.fromEntries(
+    Object.keys(DEFAULT_STATUS_TAGS).map((status) => [status, tagName])
+  ),
+};
+
+// Votes needed before a decision, and the share of aye votes that approves
+const DEFAULT_QUORUM = 3;
+const DEFAULT_THRESHOLD = 0.5;
+
+const VOTING_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    roles: stringList,
+    quorum: { type: "integer", minimum: 1 },
+    threshold: { type: "number", minimum: 0, exclusiveMaximum: 1 },
+  },
+};
+
+// Idle days are fractional so reminders can be tried out quickly
+const days = { type: "number", exclusiveMinimum: 0 };
+
+const REVIEWERS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    pool: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", pattern: "^\\d+$" },
+    },
+    count: { type: "integer", minimum: 1 },
+    strategy: { enum: ["round-robin", "least-loaded"] },
+    remindAfter: days,
+    escalateAfter: days,
+  },
+};
+
+const MESSAGE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    subject: { type: "string", minLength: 1 },
+    body: { type: "string", minLength: 1 },
+  },
+};
+
+const NOTIFY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    emailKeys: stringList,
+    discordKeys: stringList,
+    events: { type: "array", items: { enum: NOTIFY_EVENTS } },
+    messages: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        NOTIFY_EVENTS.map((event) => [event, MESSAGE_SCHEMA])
+      ),
+    },
+  },
+};
+
+// Without DISCORD_GUILD_ID every form must be listed under guilds
+const NO_DEFAULT_GUILD = { id: null, adminRole: null, logChannel: null };
+
+const output = { enum: ["text", "embed"] };
+const color = { type: "string", pattern: "^#[0-9a-fA-F]{6}$" };
+const attachThreshold = { type: "integer", minimum: 1 };
+
+const FORM_SCHEMA = {
+  type: "object",
+  required: ["forum"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string" },
+    forum: { type: "string", pattern: "^\\d+$" },
+    tag: tagName,
+    spreadsheetUrl: { type: "string", pattern: "^https://" },
+    projectNameKeys: stringList,
+    costKeys: stringList,
+    mentionRoles: stringList,
+    schedule: { type: ["integer", "string"] },
+    template: TEMPLATE_SCHEMA,
+    output,
+    color,
+    attachThreshold,
+    summaryFields: stringList,
+    reviewerRoles: stringList,
+    statusTags: STATUS_TAGS_SCHEMA,
+    voting: VOTING_SCHEMA,
+    reviewers: REVIEWERS_SCHEMA,
+    notify: NOTIFY_SCHEMA,
+  },
+};
+
+const FORMS_SCHEMA = {
+  type: "object",
+  additionalProperties: FORM_SCHEMA,
+};
+
+// Discord servers the bot serves, each with its own forms and admin settings
+const GUILD_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    adminRole: { type: "string", minLength: 1 },
+    logChannel: { type: "string", minLength: 1 },
+    forms: FORMS_SCHEMA,
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    defaults: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        projectNameKeys: stringList,
+        costKeys: stringList,
+        mentionRoles: stringList,
+        template: TEMPLATE_SCHEMA,
+        output,
+        color,
+        attachThreshold,
+        summaryFields: stringList,
+        reviewerRoles: stringList,
+        statusTags: STATUS_TAGS_SCHEMA,
+        voting: VOTING_SCHEMA,
+        reviewers: REVIEWERS_SCHEMA,
+        notify: NOTIFY_SCHEMA,
+      },
+    },
+    guilds: {
+      type: "object",
+      propertyNames: { pattern: "^\\d+$" },
+      additionalProperties: GUILD_SCHEMA,
+    },
+    // Forms of the DISCORD_GUILD_ID server
+    forms: FORMS_SCHEMA,
+  },
+};
+
+const validate = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(
+  CONFIG_SCHEMA
+);
+
+class ConfigError extends Error {
+  constructor(source, problems) {
+    super(
+      `Invalid configuration in ${source}:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function formatSchemaError(error) {
+  const location = error.instancePath
+    ? error.instancePath.slice(1).split("/").join(".")
+    : "(root)";
+
+  if (error.keyword === "propertyNames") {
+    return `${location}.${error.params.propertyName}: must be a Discord server ID`;
+  }
+  if (error.keyword === "additionalProperties") {
+    return `${location}: unknown property "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === "pattern" && location.endsWith(".forum")) {
+    return `${location}: must be a Discord channel ID`;
+  }
+  if (error.keyword === "pattern" && location.endsWith(".spreadsheetUrl")) {
+    return `${location}: must be an https:// URL`;
+  }
+  if (error.keyword === "enum") {
+    return `${location}: must be one of ${error.params.allowedValues.join(
+      ", "
+    )}`;
+  }
+  if (error.keyword === "pattern" && location.includes(".pool.")) {
+    return `${location}: must be a Discord user ID`;
+  }
+  if (error.keyword === "pattern" && location.endsWith(".color")) {
+    return `${location}: must be a hex colour like "#5865F2"`;
+  }
+  return `${location}: ${error.message}`;
+}
+
+function parseJsonEnv(env, name, fallback) {
+  if (!env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    throw new ConfigError(name, [`not valid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Build a configuration from the legacy FORM_FORUM_MAPPING, FORM_SCHEDULES
+ * and PROJECT_NAME_KEYS environment variables. FORM_FORUM_MAPPING maps form
+ * IDs to a forum ID or to [forumId, tagName, spreadsheetUrl].
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Configuration in the config file layout
+ */
+function fromLegacyEnv(env) {
+  const mapping = parseJsonEnv(env, "FORM_FORUM_MAPPING", {});
+  const schedules = parseJsonEnv(env, "FORM_SCHEDULES", {});
+  const projectNameKeys = parseJsonEnv(env, "PROJECT_NAME_KEYS", undefined);
+
+  const forms = {};
+  for (const [formId, value] of Object.entries(mapping)) {
+    const [forum, tag, spreadsheetUrl] = Array.isArray(value)
+      ? value
+      : [value];
+    forms[formId] = { forum };
+    if (tag) {
+      forms[formId].tag = tag;
+    }
+    if (spreadsheetUrl) {
+      forms[formId].spreadsheetUrl = spreadsheetUrl;
+    }
+    if (schedules[formId] !== undefined) {
+      forms[formId].schedule = schedules[formId];
+    }
+  }
+
+  return { defaults: projectNameKeys ? { projectNameKeys } : {}, forms };
+}
+
+function checkTemplates(
+  template,
+  location,
+  keys = ["title", "starter", "section", "followUp"]
+) {
+  const problems = [];
+  for (const key of keys) {
+    const error = template?.[key] ? checkTemplate(template[key]) : null;
+    if (error) {
+      problems.push(`${location}.${key}: ${error}`);
+    }
+  }
+  return problems;
+}
+
+function checkMessages(notify, location) {
+  return Object.entries(notify?.messages || {}).flatMap(([event, message]) =>
+    checkTemplates(message, `${location}.messages.${event}`, [
+      "subject",
+      "body",
+    ])
+  );
+}
+
+function normalizeForm(form, defaults, schedule) {
+  const colorHex = form.color || defaults.color;
+  // Voting is only enabled for forms with voting settings of their own or
+  // under defaults
+  const voting =
+    form.voting || defaults.voting
+      ? { ...defaults.voting, ...form.voting }
+      : null;
+  // Reviewer settings under defaults apply to forms with a pool
+  const reviewerSettings = { ...defaults.reviewers, ...form.reviewers };
+  const reviewers = reviewerSettings.pool ? reviewerSettings : null;
+  // Applicants are only notified for forms with notify settings of their own
+  // or under defaults
+  const notify =
+    form.notify || defaults.notify
+      ? { ...defaults.notify, ...form.notify }
+      : null;
+  // Settings missing from a form's template come from the default template
+  const template = {
+    ...DEFAULT_TEMPLATE,
+    ...defaults.template,
+    ...form.template,
+  };
+
+  return {
+    name: form.name || null,
+    forum: form.forum,
+    tag: form.tag || null,
+    spreadsheetUrl: form.spreadsheetUrl || null,
+    projectNameKeys:
+      form.projectNameKeys ||
+      defaults.projectNameKeys ||
+      DEFAULT_PROJECT_NAME_KEYS,
+    costKeys: form.costKeys || defaults.costKeys || DEFAULT_COST_KEYS,
+    mentionRoles: form.mentionRoles || defaults.mentionRoles || null,
+    schedule,
+    template,
+    output: form.output || defaults.output || "text",
+    // Embed colours are numbers in the Discord API
+    color: colorHex ? parseInt(colorHex.slice(1), 16) : null,
+    attachThreshold: form.attachThreshold || defaults.attachThreshold || null,
+    summaryFields: form.summaryFields || defaults.summaryFields || [],
+    reviewerRoles: form.reviewerRoles || defaults.reviewerRoles || null,
+    statusTags: {
+      ...DEFAULT_STATUS_TAGS,
+      ...defaults.statusTags,
+      ...form.statusTags,
+    },
+    voting: voting && {
+      roles: voting.roles || null,
+      quorum: voting.quorum || DEFAULT_QUORUM,
+      threshold: voting.threshold ?? DEFAULT_THRESHOLD,
+    },
+    reviewers: reviewers && {
+      pool: reviewers.pool,
+      count: Math.min(reviewers.count || 1, reviewers.pool.length),
+      strategy: reviewers.strategy || "round-robin",
+      remindAfter: reviewers.remindAfter || null,
+      escalateAfter: reviewers.escalateAfter || null,
+    },
+    notify: notify && {
+      emailKeys: notify.emailKeys || ["email"],
+      discordKeys: notify.discordKeys || ["discord"],
+      events: notify.events || NOTIFY_EVENTS,
+      // Messages are merged per event, so a form can reword only a subject
+      messages: Object.fromEntries(
+        NOTIFY_EVENTS.map((event) => [
+          event,
+          {
+            ...DEFAULT_MESSAGES[event],
+            ...defaults.notify?.messages?.[event],
+            ...form.notify?.messages?.[event],
+          },
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * List the forms of a configuration with the guild they belong to. Forms
+ * outside of guilds belong to the default guild.
+ * @param {Object} raw - Configuration in the config file layout
+ * @param {string|null} defaultGuildId - ID of the DISCORD_GUILD_ID server
+ * @returns {Array} - [guildId, formId, form, location] of every form
+ */
+function listForms(raw, defaultGuildId) {
+  const entries = Object.entries(raw.forms || {}).map(([formId, form]) => [
+    defaultGuildId,
+    formId,
+    form,
+    `forms.${formId}`,
+  ]);
+  for (const [guildId, guild] of Object.entries(raw.guilds || {})) {
+    for (const [formId, form] of Object.entries(guild.forms || {})) {
+      entries.push([
+        guildId,
+        formId,
+        form,
+        `guilds.${guildId}.forms.${formId}`,
+      ]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Validate a configuration and fill in the defaults of every form
+ * @param {Object} raw - Configuration in the config file layout
+ * @param {string} source - Where the configuration came from, for errors
+ * @param {Object} defaultGuild - The DISCORD_GUILD_ID server, which gets the
+ * forms outside of guilds
+ * @param {string|null} defaultGuild.id - Its guild ID
+ * @param {string|null} defaultGuild.adminRole - ADMIN_ROLE
+ * @param {string|null} defaultGuild.logChannel - LOG_CHANNEL
+ * @returns {{guilds: Object, forms: Object, defaults: Object}} - Admin
+ * settings keyed by guild ID, forms keyed by form ID with the guild they
+ * belong to, and the settings of a form that sets nothing itself
+ * @throws {ConfigError} - When the configuration is invalid
+ */
+function normalizeConfig(raw, source, defaultGuild = NO_DEFAULT_GUILD) {
+  if (!validate(raw)) {
+    // Invalid guild IDs are reported once, by their propertyNames error
+    throw new ConfigError(
+      source,
+      validate.errors
+        .filter((error) => !error.propertyName)
+        .map(formatSchemaError)
+    );
+  }
+
+  const defaults = raw.defaults || {};
+  const guilds = {};
+  const forms = {};
+  const problems = [
+    ...checkTemplates(defaults.template, "defaults.template"),
+    ...checkMessages(defaults.notify, "defaults.notify"),
+  ];
+
+  // ADMIN_ROLE and LOG_CHANNEL apply to the default guild unless it is
+  // configured under guilds
+  if (defaultGuild.id) {
+    guilds[defaultGuild.id] = {
+      adminRole: defaultGuild.adminRole || null,
+      logChannel: defaultGuild.logChannel || null,
+    };
+  } else if (Object.keys(raw.forms || {}).length > 0) {
+    problems.push(
+      "forms: DISCORD_GUILD_ID must be set for forms outside of guilds"
+    );
+  }
+  for (const [guildId, guild] of Object.entries(raw.guilds || {})) {
+    guilds[guildId] = {
+      adminRole: guild.adminRole || null,
+      logChannel: guild.logChannel || null,
+    };
+  }
+
+  for (const [guildId, formId, form, location] of listForms(
+    raw,
+    defaultGuild.id
+  )) {
+    // Tracked responses are keyed by form ID, so a form has a single home
+    if (forms[formId]) {
+      problems.push(
+        `${location}: form is already mapped in guild ${forms[formId].guildId}`
+      );
+      continue;
+    }
+
+    let schedule = null;
+    if (form.schedule !== undefined) {
+      try {
+        schedule = parseSchedule(form.schedule);
+      } catch (error) {
+        problems.push(`${location}.schedule: ${error.message}`);
+      }
+    }
+    problems.push(
+      ...checkTemplates(form.template, `${location}.template`),
+      ...checkMessages(form.notify, `${location}.notify`)
+    );
+
+    forms[formId] = { guildId, ...normalizeForm(form, defaults, schedule) };
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+
+  return { guilds, forms, defaults: normalizeForm({}, defaults, null) };
+}
+
+function buildConfig(document, source, configPath, defaultGuild) {
+  // Unquoted guild IDs are read as numbers, which loses their last digits
+  const numericKeys = (document.get("guilds")?.items || []).filter(
+    (pair) => typeof pair.key?.value === "number"
+  );
+  if (numericKeys.length > 0) {
+    throw new ConfigError(
+      source,
+      numericKeys.map(
+        ({ key }) => `guilds.${key.source}: guild IDs must be quoted`
+      )
+    );
+  }
+
+  return {
+    source,
+    path: configPath,
+    document,
+    defaultGuild,
+    ...normalizeConfig(document.toJS() || {}, source, defaultGuild),
+  };
+}
+
+/**
+ * Load the bot configuration from the config file, or from the legacy
+ * environment variables when there is no config file
+ * @param {string} configPath - Path of the YAML or JSON config file
+ * @param {Object} env - Environment variables
+ * @param {Object} logger - Logger for warnings
+ * @returns {{source: string, path: string, document: Object, forms: Object}}
+ * - The validated configuration and the YAML document it was read from
+ * @throws {ConfigError} - When the configuration is invalid
+ */
+function loadConfig(configPath, env, logger) {
+  const defaultGuild = {
+    id: env.DISCORD_GUILD_ID || null,
+    adminRole: env.ADMIN_ROLE || null,
+    logChannel: env.LOG_CHANNEL || null,
+  };
+
+  // docker-compose creates a directory for a missing bind-mounted file
+  if (!fs.statSync(configPath, { throwIfNoEntry: false })?.isFile()) {
+    logger.warn(
+      `Config file ${path.basename(
+        configPath
+      )} not found, using FORM_FORUM_MAPPING from the environment`
+    );
+    const document = new YAML.Document(fromLegacyEnv(env));
+    return buildConfig(
+      document,
+      "FORM_FORUM_MAPPING",
+      configPath,
+      defaultGuild
+    );
+  }
+
+  const source = path.basename(configPath);
+  // YAML is a superset of JSON, so this reads both formats
+  const document = YAML.parseDocument(fs.readFileSync(configPath, "utf8"));
+  if (document.errors.length > 0) {
+    throw new ConfigError(
+      source,
+      document.errors.map((error) => error.message)
+    );
+  }
+
+  if (env.FORM_FORUM_MAPPING) {
+    logger.warn(`FORM_FORUM_MAPPING is ignored because ${source} exists`);
+  }
+
+  return buildConfig(document, source, configPath, defaultGuild);
+}
+
+/**
+ * Find where a form of a guild is kept in the config file. Forms of the
+ * default guild stay in the top-level forms, where new ones are added too
+ * unless the default guild is listed under guilds.
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string} guildId - Discord guild ID
+ * @param {string} formId - Google Form ID
+ * @returns {string[]} - Path of the form in the config document
+ */
+function getFormPath(config, guildId, formId) {
+  const topLevel =
+    guildId === config.defaultGuild.id &&
+    (config.document.hasIn(["forms", formId]) ||
+      !config.document.hasIn(["guilds", guildId]));
+  return topLevel ? ["forms", formId] : ["guilds", guildId, "forms", formId];
+}
+
+/**
+ * Add or replace a form of a guild in a configuration. The configuration
+ * itself is left untouched, so an invalid change can simply be dropped.
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string} guildId - Discord guild ID
+ * @param {string} formId - Google Form ID
+ * @param {Object} form - Form in the config file layout
+ * @returns {Object} - The new configuration
+ * @throws {ConfigError} - When the form is invalid
+ */
+function setForm(config, guildId, formId, form) {
+  const document = config.document.clone();
+  document.setIn(getFormPath(config, guildId, formId), form);
+  return buildConfig(
+    document,
+    path.basename(config.path),
+    config.path,
+    config.defaultGuild
+  );
+}
+
+/**
+ * Remove a form from a configuration
+ * @param {Object} config - Configuration from loadConfig
+ * @param {string} formId - Google Form ID
+ * @returns {Object} - The new configuration
+ */
+function removeForm(config, formId) {
+  const document = config.document.clone();
+  document.deleteIn(getFormPath(config, config.forms[formId].guildId, formId));
+  return buildConfig(
+    document,
+    path.basename(config.path),
+    config.path,
+    config.defaultGuild
+  );
+}
+
+/**
+ * Write a configuration back to its config file, keeping the comments of a
+ * YAML file. JSON files are written as JSON, which has no comments to keep.
+ * Configurations from the environment create the file.
+ * @param {Object} config - Configuration from loadConfig, setForm or removeForm
+ */
+async function saveConfig(config) {
+  const content =
+    path.extname(config.path).toLowerCase() === ".json"
+      ? `${JSON.stringify(config.document.toJS(), null, 2)}\n`
+      : config.document.toString();
+  // Written in place: the config file is usually a bind mount that can't be
+  // replaced by a rename
+  await fs.promises.writeFile(config.path, content, "utf8");
+}
+
+/**
+ * Call a function whenever the config file changes. Polls instead of using
+ * fs.watch, which misses editors that replace the file and bind mounts.
+ * @param {string} configPath - Path of the config file
+ * @param {Function} onChange - Called without arguments after a change
+ * @returns {Function} - Stops watching
+ */
+function watchConfig(configPath, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      onChange();
+    }
+  };
+  fs.watchFile(configPath, { interval: 5000 }, listener);
+  return () => fs.unwatchFile(configPath, listener);
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  saveConfig,
+  watchConfig,
+  getFormPath,
+  setForm,
+  removeForm,
+  normalizeConfig,
+  fromLegacyEnv,
+};
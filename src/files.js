@@ -0,0 +1,164 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { google } = require("googleapis");
+
+// Discord allows up to ten attachments per message
+const FILES_PER_MESSAGE = 10;
+
+function sanitizeFileName(name) {
+  return name.replace(/[^a-zA-Z0-9-_.]/g, "_");
+}
+
+/**
+ * List the files uploaded with a response, in answer order
+ * @param {Object} response - Response from the Forms API
+ * @returns {{fileId: string, fileName: string}[]}
+ */
+function getUploadedFiles(response) {
+  return Object.values(response.answers || {}).flatMap(
+    (answer) => answer.fileUploadAnswers?.answers || []
+  );
+}
+
+/**
+ * Group downloaded files into messages of at most ten attachments and
+ * maxSize bytes
+ * @param {Object[]} files - Files from FileDownloader with their data
+ * @param {number} maxSize - Upload limit of a message in bytes
+ * @returns {Object[][]} - The files of each message
+ */
+function groupAttachments(files, maxSize) {
+  const groups = [];
+  let group = [];
+  let size = 0;
+
+  for (const file of files) {
+    if (
+      group.length === FILES_PER_MESSAGE ||
+      (group.length > 0 && size + file.data.length > maxSize)
+    ) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(file);
+    size += file.data.length;
+  }
+  if (group.length > 0) {
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+// Downloads files uploaded to Google Forms through the Drive API so they can
+// be attached to Discord messages, and optionally keeps a copy on disk
+class FileDownloader {
+  constructor({ auth, logger, retryPolicy, maxSize, archiveDir }) {
+    this.drive = google.drive({ version: "v3", auth });
+    this.logger = logger;
+    this.retryPolicy = retryPolicy;
+    this.maxSize = maxSize;
+    this.archiveDir = archiveDir || null;
+  }
+
+  /**
+   * Download the files uploaded with a response
+   * @param {Object} response - Response from the Forms API
+   * @param {string} formId - Google Form ID
+   * @param {Set<string>} skipIds - IDs of files not to download again
+   * @returns {Object[]} - Results of download, one per file
+   */
+  async downloadAll(response, formId, skipIds = new Set()) {
+    const results = [];
+    for (const file of getUploadedFiles(response)) {
+      if (!skipIds.has(file.fileId)) {
+        results.push(
+          await this.download(
+            file,
+            this.archiveDir &&
+              path.join(
+                this.archiveDir,
+                sanitizeFileName(formId),
+                sanitizeFileName(response.responseId)
+              )
+          )
+        );
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Download an uploaded file. Files over the upload limit are only
+   * downloaded to be archived, and a file that can't be downloaded is
+   * reported without data so it can be linked instead.
+   * @param {{fileId: string, fileName: string}} file - Uploaded file
+   * @param {string|null} directory - Directory to archive the file to
+   * @returns {{fileId: string, name: string, url: string, size: number|null, data: Buffer|null}}
+   */
+  async download({ fileId, fileName }, directory) {
+    const result = {
+      fileId,
+      name: sanitizeFileName(fileName),
+      url: `https://drive.google.com/open?id=${fileId}`,
+      size: null,
+      data: null,
+    };
+
+    try {
+      const { data: metadata } = await this.retryPolicy.run(
+        () =>
+          this.drive.files.get({
+            fileId,
+            fields: "size",
+            supportsAllDrives: true,
+          }),
+        `Fetching details of file ${fileId}`
+      );
+      result.size = metadata.size ? Number(metadata.size) : null;
+
+      const tooLarge = result.size !== null && result.size > this.maxSize;
+      if (tooLarge && !directory) {
+        this.logger.info(
+          `File ${result.name} (${result.size} bytes) is over the upload limit, linking it instead`
+        );
+        return result;
+      }
+
+      const { data } = await this.retryPolicy.run(
+        () =>
+          this.drive.files.get(
+            { fileId, alt: "media", supportsAllDrives: true },
+            { responseType: "arraybuffer" }
+          ),
+        `Downloading file ${fileId}`
+      );
+      const buffer = Buffer.from(data);
+      result.size = buffer.length;
+
+      if (directory) {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, result.name), buffer);
+        this.logger.debug(`Archived file ${result.name} to ${directory}`);
+      }
+
+      if (buffer.length <= this.maxSize) {
+        result.data = buffer;
+      }
+    } catch (error) {
+      this.logger.warn(
+        `Error downloading file ${fileId} (${result.name}): ${error.message}`
+      );
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  FileDownloader,
+  getUploadedFiles,
+  groupAttachments,
+  sanitizeFileName,
+};
@@ -0,0 +1,763 @@
+const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} = require("discord.js");
+const { logger } = require("./logger");
+const { sanitizeFileName } = require("./files");
+const { chunkSections, splitSection } = require("./chunker");
+const { createReviewButtons } = require("./review");
+const {
+  renderTemplate,
+  selectSections,
+  matchesQuestion,
+  answerToText,
+  formatStringWithSubstrateAddresses,
+} = require("./templates");
+
+function createButton(responseUrl) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setStyle(ButtonStyle.Link)
+      .setLabel("View Full Response")
+      .setURL(responseUrl)
+  );
+}
+
+function truncate(str, n) {
+  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+}
+
+function getProjectName(response, projectNameKeys) {
+  const projectNameKey = Object.keys(response).find((key) =>
+    projectNameKeys.some((searchString) =>
+      key.toLowerCase().includes(searchString.toLowerCase())
+    )
+  );
+  return projectNameKey ? response[projectNameKey] : "Unknown Project";
+}
+
+function getTotalCost(response, costKeys) {
+  // Skip cost for audit forms
+  if (
+    Object.keys(response).some(
+      (key) =>
+        key.toLowerCase().includes("audit") ||
+        key.toLowerCase().includes("auditor")
+    )
+  ) {
+    return "";
+  }
+
+  for (const [key, value] of Object.entries(response)) {
+    if (
+      costKeys.some((costKey) =>
+        key.toLowerCase().includes(costKey.toLowerCase())
+      )
+    ) {
+      // Truncate the value to a reasonable length
+      const truncatedValue = truncateCost(value);
+      return truncatedValue;
+    }
+  }
+  return "Cost not found";
+}
+
+function truncateCost(value) {
+  // Remove leading/trailing whitespace
+  let trimmedValue = value.trim();
+
+  // If the value is longer than 20 characters, truncate it
+  if (trimmedValue.length > 20) {
+    // Try to find a sensible place to truncate
+    let truncateIndex = 20;
+    while (
+      truncateIndex > 0 &&
+      !/[\s,.]/.test(trimmedValue[truncateIndex - 1])
+    ) {
+      truncateIndex--;
+    }
+    // If we couldn't find a good break point, just use 20
+    if (truncateIndex === 0) {
+      truncateIndex = 20;
+    }
+
+    trimmedValue = `${trimmedValue.substring(0, truncateIndex)}...`;
+  }
+
+  return trimmedValue;
+}
+
+/**
+ * Map question titles to question IDs, so templates can refer to questions
+ * by either
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @returns {Object} - Question IDs keyed by question title
+ */
+function getQuestionIds(formDetails) {
+  const questionIds = {};
+  for (const item of formDetails?.items || []) {
+    if (item.questionItem?.question) {
+      questionIds[item.title] = item.questionItem.question.questionId;
+    }
+  }
+  return questionIds;
+}
+
+/**
+ * Collect the values available to a form's templates
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ * @param {Object} form - Configuration of the response's form
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @returns {Object} - Template context; sections are added once rendered
+ */
+function buildTemplateContext(formattedResponse, form, formDetails) {
+  const questionIds = getQuestionIds(formDetails);
+  const questions = Object.entries(formattedResponse)
+    .filter(
+      ([key, value]) => value && key !== "Submitted" && key !== "responseId"
+    )
+    .map(([title, value]) => ({
+      questionId: questionIds[title] || null,
+      title,
+      value,
+    }));
+
+  return {
+    responseId: formattedResponse.responseId,
+    submitted: formattedResponse.Submitted,
+    projectName: getProjectName(formattedResponse, form.projectNameKeys),
+    totalCost: getTotalCost(formattedResponse, form.costKeys),
+    questions,
+    sections: [],
+  };
+}
+
+/**
+ * Build the thread name and messages for a formatted response from the
+ * form's template. In text mode sections fill the starter message as far as
+ * they fit and the others are posted as follow-ups; in embed mode they
+ * become embeds. Responses needing more messages than the form's
+ * attachThreshold get a summary with the full response attached instead.
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ * @param {Object} form - Configuration of the response's form
+ * @param {Object} formDetails - Form details from getFormDetails
+ * @returns {{threadName: string, messages: Object[], components: ActionRowBuilder[]}}
+ * - Messages are payloads with content, embeds, files and flags
+ */
+function buildThreadContent(formattedResponse, form, formDetails) {
+  const context = buildTemplateContext(formattedResponse, form, formDetails);
+
+  const threadName = truncate(
+    renderTemplate(form.template.title, context) ||
+      formattedResponse.responseId,
+    100
+  );
+  logger.debug(`Thread name (${threadName.length} chars): ${threadName}`);
+
+  const { sections, components } = formatResponseMessage(
+    formattedResponse,
+    form,
+    context
+  );
+  context.sections = sections;
+
+  logger.debug(`Rendered ${sections.length} sections`);
+  logger.debug(`Components count: ${components.length}`);
+
+  const messages =
+    form.output === "embed"
+      ? buildEmbedMessages(context, sections, form)
+      : buildTextMessages(context, sections, form);
+
+  if (form.attachThreshold && messages.length > form.attachThreshold) {
+    logger.debug(
+      `Response needs ${messages.length} messages, attaching it instead`
+    );
+    return {
+      threadName,
+      messages: [buildSummaryMessage(context, form, messages.length)],
+      components,
+    };
+  }
+
+  return { threadName, messages, components };
+}
+
+/**
+ * Lay out the sections of a response as text messages: the starter message
+ * followed by follow-ups rendered with the form's followUp template
+ * @param {Object} context - Template context from buildTemplateContext
+ * @param {Object[]} sections - Sections from formatResponseMessage
+ * @param {Object} form - Configuration of the response's form
+ * @returns {Object[]} - Message payloads
+ */
+function buildTextMessages(context, sections, form) {
+  const { template } = form;
+  const maxLength =
+    2000 -
+    (form.spreadsheetUrl
+      ? JSON.stringify(createButton(form.spreadsheetUrl)).length
+      : 0);
+  logger.debug(`Maximum message length: ${maxLength}`);
+
+  // Room for what the follow-up template adds around each message
+  const followUpLength =
+    2000 -
+    renderTemplate(
+      template.followUp,
+      { ...context, content: "", index: 99, total: 99 },
+      context
+    ).length;
+
+  const [initialMessage, ...remainingMessages] = chunkSections(sections, {
+    intro: truncate(renderTemplate(template.starter, context), maxLength),
+    firstLength: maxLength,
+    maxLength: followUpLength,
+  });
+
+  logger.debug(`Initial message length: ${initialMessage.length}`);
+  logger.debug(`Follow-up messages: ${remainingMessages.length}`);
+
+  const followUps = remainingMessages.map((content, index) =>
+    truncate(
+      renderTemplate(
+        template.followUp,
+        {
+          ...context,
+          content,
+          index: index + 1,
+          total: remainingMessages.length,
+        },
+        context
+      ),
+      2000
+    )
+  );
+
+  return [initialMessage, ...followUps].map((content) => ({
+    content,
+    embeds: [],
+    flags: 1 << 2, // Suppress link embeds
+  }));
+}
+
+// Longest answer quoted in the summary of an attached response
+const SUMMARY_ANSWER_LENGTH = 300;
+
+/**
+ * Write out a whole response as a Markdown document, every answer in the
+ * form's order, hidden ones included
+ * @param {Object} context - Template context from buildTemplateContext
+ * @returns {string}
+ */
+function formatResponseMarkdown(context) {
+  const lines = [
+    `# ${context.projectName}`,
+    "",
+    `- Submitted: ${context.submitted}`,
+    `- Response ID: ${context.responseId}`,
+  ];
+  if (context.totalCost) {
+    lines.push(`- Total cost: ${context.totalCost}`);
+  }
+
+  for (const question of context.questions) {
+    lines.push("", `## ${question.title}`, "", answerToText(question.value));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Build the starter message of a response too long to post: its project,
+ * cost and the form's summary fields, with the full response attached as a
+ * Markdown file
+ * @param {Object} context - Template context from buildTemplateContext
+ * @param {Object} form - Configuration of the response's form
+ * @param {number} messageCount - Messages the full response would need
+ * @returns {Object} - Message payload
+ */
+function buildSummaryMessage(context, form, messageCount) {
+  const fileName = `${sanitizeFileName(context.projectName).slice(0, 80)}-${
+    context.responseId
+  }.md`;
+  const attachment = new AttachmentBuilder(
+    Buffer.from(formatResponseMarkdown(context), "utf8"),
+    { name: fileName, description: "Full form response" }
+  );
+
+  const fields = [];
+  if (context.totalCost) {
+    fields.push({ name: "Cost", value: context.totalCost });
+  }
+  const summarized = new Set();
+  for (const reference of form.summaryFields) {
+    const question = context.questions.find((q) =>
+      matchesQuestion(reference, q)
+    );
+    if (question && !summarized.has(question)) {
+      summarized.add(question);
+      fields.push({
+        name: truncate(question.title, 256),
+        value: truncate(
+          formatStringWithSubstrateAddresses(answerToText(question.value)),
+          SUMMARY_ANSWER_LENGTH
+        ),
+      });
+    }
+  }
+
+  const note = `This response would take ${messageCount} messages, so it is attached in full as \`${fileName}\`.`;
+
+  if (form.output === "embed") {
+    return {
+      content: "",
+      embeds: [
+        new EmbedBuilder({
+          title: truncate(context.projectName, 256),
+          description: note,
+          fields,
+          footer: { text: `Submitted ${context.submitted}` },
+          color: form.color ?? undefined,
+        }),
+      ],
+      files: [attachment],
+      flags: 0,
+    };
+  }
+
+  return {
+    content: truncate(
+      [
+        `### ${context.projectName}`,
+        ...fields.map(({ name, value }) => `**${name}:** ${value}`),
+        "",
+        `*${note}*`,
+      ].join("\n"),
+      2000
+    ),
+    embeds: [],
+    files: [attachment],
+    flags: 1 << 2,
+  };
+}
+
+// Discord's limits on embeds
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_FIELD_LIMIT = 25;
+const EMBED_TOTAL_LIMIT = 6000;
+const EMBEDS_PER_MESSAGE = 10;
+
+// Answers up to this length are shown as embed fields, longer ones in the
+// embed description
+const SHORT_ANSWER_LENGTH = 256;
+
+function getEmbedLength(embed) {
+  return (
+    (embed.title?.length || 0) +
+    (embed.description?.length || 0) +
+    (embed.fields || []).reduce(
+      (sum, field) => sum + field.name.length + field.value.length,
+      0
+    ) +
+    (embed.footer?.text.length || 0)
+  );
+}
+
+/**
+ * Lay out the sections of a response as embeds: short answers as fields and
+ * long answers in descriptions, keeping the form's order and Discord's limits
+ * @param {Object} context - Template context from buildTemplateContext
+ * @param {Object[]} sections - Sections from formatResponseMessage
+ * @param {Object} form - Configuration of the response's form
+ * @returns {Object[]} - Message payloads of up to ten embeds each
+ */
+function buildEmbedMessages(context, sections, form) {
+  const footer = { text: `Submitted ${context.submitted}` };
+  // Room kept in every embed for the footer, added to the last one
+  const maxLength = EMBED_TOTAL_LIMIT - footer.text.length;
+  const embeds = [];
+  let current;
+
+  const startEmbed = () => {
+    current = { description: "", fields: [] };
+    embeds.push(current);
+  };
+
+  startEmbed();
+  current.title = truncate(context.projectName, 256);
+
+  const intro = renderTemplate(form.template.starter, context);
+  if (intro) {
+    current.description = truncate(intro, EMBED_DESCRIPTION_LIMIT);
+  }
+
+  for (const section of sections) {
+    const value = formatStringWithSubstrateAddresses(String(section.value));
+
+    if (value.length <= SHORT_ANSWER_LENGTH) {
+      const field = { name: truncate(section.title, 256), value };
+      if (
+        current.fields.length >= EMBED_FIELD_LIMIT ||
+        getEmbedLength(current) + field.name.length + value.length > maxLength
+      ) {
+        startEmbed();
+      }
+      current.fields.push(field);
+      continue;
+    }
+
+    for (const piece of splitSection(section, EMBED_DESCRIPTION_LIMIT)) {
+      const text = current.description ? `\n\n${piece}` : piece;
+      // Fields show below the description, so a long answer after a field
+      // starts a new embed to keep the form's order
+      if (
+        current.fields.length > 0 ||
+        current.description.length + text.length > EMBED_DESCRIPTION_LIMIT ||
+        getEmbedLength(current) + text.length > maxLength
+      ) {
+        startEmbed();
+        current.description = piece;
+      } else {
+        current.description += text;
+      }
+    }
+  }
+
+  current.footer = footer;
+
+  // Each message holds up to ten embeds with 6000 characters between them
+  const messages = [];
+  let batch = [];
+  let batchLength = 0;
+
+  for (const embed of embeds) {
+    const length = getEmbedLength(embed);
+    if (
+      batch.length === EMBEDS_PER_MESSAGE ||
+      batchLength + length > EMBED_TOTAL_LIMIT
+    ) {
+      messages.push(batch);
+      batch = [];
+      batchLength = 0;
+    }
+    batch.push(embed);
+    batchLength += length;
+  }
+  messages.push(batch);
+
+  return messages.map((batchEmbeds) => ({
+    content: "",
+    embeds: batchEmbeds.map((embed) =>
+      new EmbedBuilder({
+        ...embed,
+        description: embed.description || undefined,
+        color: form.color ?? undefined,
+      })
+    ),
+    flags: 0,
+  }));
+}
+
+function getMessageLength(message) {
+  return (
+    message.content.length +
+    message.embeds.reduce(
+      (sum, embed) => sum + getEmbedLength(embed.data),
+      0
+    )
+  );
+}
+
+/**
+ * List the questions whose answers differ between two formatted responses
+ * @param {Object} previous - Previously posted formatted response
+ * @param {Object} current - Formatted response after the edit
+ * @returns {{question: string, before: *, after: *}[]} - The changed answers
+ */
+function diffResponses(previous, current) {
+  const questions = new Set([
+    ...Object.keys(previous),
+    ...Object.keys(current),
+  ]);
+  const changes = [];
+
+  for (const question of questions) {
+    if (question === "responseId" || question === "Submitted") {
+      continue;
+    }
+    if (
+      JSON.stringify(previous[question]) !== JSON.stringify(current[question])
+    ) {
+      changes.push({
+        question,
+        before: previous[question],
+        after: current[question],
+      });
+    }
+  }
+
+  return changes;
+}
+
+function formatAnswerForDiff(answer) {
+  if (answer === undefined || answer === "") {
+    return "*(no answer)*";
+  }
+  if (typeof answer === "object") {
+    return Object.keys(answer).map(cleanFileName).join(", ");
+  }
+  return truncate(answer.toString(), 300);
+}
+
+function formatResponseDiff(changes, submitted) {
+  let message =
+    `✏️ **The applicant edited this response on ${submitted}.** ` +
+    "The messages above show the updated answers.\n";
+
+  for (const { question, before, after } of changes) {
+    message += `\n**${truncate(question, 200)}**\n~~${formatAnswerForDiff(
+      before
+    )}~~\n${formatAnswerForDiff(after)}\n`;
+  }
+
+  return truncate(message, 2000);
+}
+
+/**
+ * Render the sections of a response with the form's section template, and
+ * turn website answers and file uploads into buttons
+ * @param {Object} response - Response produced by formatResponse
+ * @param {Object} form - Configuration of the response's form
+ * @param {Object} context - Template context from buildTemplateContext
+ * @returns {{sections: Object[], components: ActionRowBuilder[]}} - Shown
+ * questions with their rendered content, and the message components
+ */
+function formatResponseMessage(response, form, context) {
+  const sections = [];
+  const navigationButtons = [];
+  const winningOfferButtons = [];
+  const otherOfferButtons = [];
+
+  // Sort entries to put "name" fields first
+  const sortedQuestions = [...context.questions].sort((a, b) => {
+    const aIsName = a.title.toLowerCase().includes("name");
+    const bIsName = b.title.toLowerCase().includes("name");
+    return aIsName && !bIsName ? -1 : !aIsName && bIsName ? 1 : 0;
+  });
+
+  for (const question of selectSections(sortedQuestions, form.template)) {
+    const { title: key, value } = question;
+    const lowerKey = key.toLowerCase();
+
+    try {
+      if (
+        !form.projectNameKeys.some((nameKey) =>
+          lowerKey.includes(nameKey.toLowerCase())
+        )
+      ) {
+        if (lowerKey.includes("website")) {
+          let url = value.trim();
+          if (!url.startsWith("https://")) {
+            url = "https://" + url.replace(/^http:\/\//i, "");
+          }
+          try {
+            new URL(url);
+            navigationButtons.push(
+              new ButtonBuilder()
+                .setStyle(ButtonStyle.Link)
+                .setLabel("🌐 Website")
+                .setURL(url)
+            );
+          } catch (error) {
+            logger.warn(`Invalid website URL: ${url}`);
+          }
+        } else if (typeof value === "object" && !Array.isArray(value)) {
+          Object.entries(value).forEach(([fileName, fileUrl]) => {
+            const isWinningOffer = lowerKey.includes("winning");
+            const button = new ButtonBuilder()
+              .setStyle(ButtonStyle.Link)
+              .setLabel(
+                truncate(
+                  `${isWinningOffer ? "🏆 " : "📄 "}${cleanFileName(fileName)}`,
+                  80
+                )
+              )
+              .setURL(fileUrl);
+
+            if (isWinningOffer) {
+              winningOfferButtons.push(button);
+            } else {
+              otherOfferButtons.push(button);
+            }
+          });
+        } else {
+          const content = renderTemplate(
+            form.template.section,
+            question,
+            context
+          );
+          if (content) {
+            sections.push({ ...question, content });
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Error processing entry ${key}: ${error.message}`);
+    }
+  }
+
+  if (form.spreadsheetUrl) {
+    navigationButtons.push(
+      new ButtonBuilder()
+        .setStyle(ButtonStyle.Link)
+        .setLabel("📑 Spreadsheet")
+        .setURL(form.spreadsheetUrl)
+    );
+  }
+
+  const actionRows = [];
+  if (navigationButtons.length > 0) {
+    actionRows.push(new ActionRowBuilder().addComponents(navigationButtons));
+  }
+
+  const allOfferButtons = [...winningOfferButtons, ...otherOfferButtons];
+  if (allOfferButtons.length > 0) {
+    for (let i = 0; i < allOfferButtons.length; i += 5) {
+      actionRows.push(
+        new ActionRowBuilder().addComponents(allOfferButtons.slice(i, i + 5))
+      );
+    }
+  }
+
+  // A message holds up to five rows, and the review buttons always get one
+  if (actionRows.length > 4) {
+    logger.warn(
+      `Only ${4 * 5} of the ${
+        navigationButtons.length + allOfferButtons.length
+      } link buttons fit on the starter message`
+    );
+    actionRows.length = 4;
+  }
+  actionRows.push(createReviewButtons());
+
+  return { sections, components: actionRows };
+}
+
+/**
+ * Collect the Drive IDs of the files linked in a formatted response
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ * @returns {Set<string>}
+ */
+function getFileIds(formattedResponse) {
+  return new Set(
+    Object.values(formattedResponse || {})
+      .filter((value) => value && typeof value === "object")
+      .flatMap((value) => Object.values(value))
+      .map((url) => new URL(url).searchParams.get("id"))
+  );
+}
+
+async function formatResponse(response, formDetails) {
+  if (!formDetails || !Array.isArray(formDetails.items)) {
+    throw new Error("Form details are required but missing or invalid");
+  }
+
+  // Create formatted response starting with metadata
+  const formattedResponse = {
+    responseId: response.responseId,
+    Submitted: response.lastSubmittedTime.split("T")[0],
+  };
+
+  // Create answers map for quick lookup
+  const answersMap = {};
+  for (const [questionId, answer] of Object.entries(response.answers)) {
+    answersMap[questionId] = answer;
+  }
+
+  // Process questions in form order
+  for (const item of formDetails.items) {
+    if (item.questionItem && item.questionItem.question) {
+      const questionId = item.questionItem.question.questionId;
+      const answer = answersMap[questionId];
+      const questionText = item.title;
+
+      if (!answer) continue; // Skip if no answer for this question
+
+      try {
+        if (answer.fileUploadAnswers) {
+          const fileAnswers = {};
+          for (const fileAnswer of answer.fileUploadAnswers.answers) {
+            const originalFileName = sanitizeFileName(fileAnswer.fileName);
+            fileAnswers[
+              originalFileName
+            ] = `https://drive.google.com/open?id=${fileAnswer.fileId}`;
+          }
+          formattedResponse[questionText] = fileAnswers;
+        } else if (answer.textAnswers) {
+          formattedResponse[questionText] = answer.textAnswers.answers
+            .map((a) => a.value)
+            .join(", ");
+        } else if (answer.scaleAnswers) {
+          formattedResponse[questionText] = answer.scaleAnswers.answers
+            .map((a) => a.value)
+            .join(", ");
+        } else if (answer.dateAnswers) {
+          formattedResponse[questionText] = answer.dateAnswers.answers
+            .map((a) => `${a.year}-${a.month}-${a.day}`)
+            .join(", ");
+        } else if (answer.timeAnswers) {
+          formattedResponse[questionText] = answer.timeAnswers.answers
+            .map((a) => `${a.hours}:${a.minutes}:${a.seconds}`)
+            .join(", ");
+        } else if (answer.choiceAnswers) {
+          formattedResponse[questionText] = answer.choiceAnswers.answers
+            .map((a) => a.value)
+            .join(", ");
+        }
+      } catch (error) {
+        logger.error(
+          `Error processing answer for question "${questionText}": ${error.message}`
+        );
+        formattedResponse[questionText] = "Error processing answer";
+      }
+    }
+  }
+
+  return formattedResponse;
+}
+
+function cleanFileName(fileName) {
+  return (
+    fileName
+      // Replace multiple underscores with single space
+      .replace(/_+/g, " ")
+      // Replace remaining single underscores with spaces
+      .replace(/_/g, " ")
+      // Fix cases where we have ' - ' with extra spaces
+      .replace(/\s+-\s+/g, " - ")
+      // Clean up any double spaces that might have been created
+      .replace(/\s+/g, " ")
+      // Trim any leading/trailing spaces
+      .trim()
+  );
+}
+
+module.exports = {
+  truncate,
+  getProjectName,
+  getTotalCost,
+  truncateCost,
+  getQuestionIds,
+  buildTemplateContext,
+  buildThreadContent,
+  getMessageLength,
+  diffResponses,
+  formatResponseDiff,
+  formatResponseMessage,
+  getFileIds,
+  formatResponse,
+};
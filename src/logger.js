@@ -0,0 +1,40 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const winston = require("winston");
+
+const COMBINED_LOG_FILE = process.env.COMBINED_LOG_FILENAME || "combined.log";
+
+// ID of the guild whose form check or command is running, so its log
+// entries go to that guild's log channel
+const guildContext = new AsyncLocalStorage();
+
+// Tags log entries with the guild of the running form check or command
+const addGuildId = winston.format((info) => {
+  const guildId = guildContext.getStore();
+  if (guildId && !info.guildId) {
+    info.guildId = guildId;
+  }
+  return info;
+});
+
+// Initialize logger without Discord transport (added after client is ready)
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    addGuildId(),
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} ${level}: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()],
+});
+
+/**
+ * Also write log entries to COMBINED_LOG_FILE. Only the running bot does, so
+ * importing the modules (in tests, for example) creates no log file.
+ */
+function logToFile() {
+  logger.add(new winston.transports.File({ filename: COMBINED_LOG_FILE }));
+}
+
+module.exports = { logger, guildContext, logToFile };
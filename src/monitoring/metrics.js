@@ -0,0 +1,207 @@
+// Upper bounds of the default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set in the Prometheus text format
+ * @param {Object} labels - Label values by name
+ * @returns {string} - e.g. `{form="abc",result="success"}`, or "" without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Base of the metric types, keeping a value per label set
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Order label values like labelNames, so equal sets share a key
+   * @param {Object} labels - Label values by name
+   * @returns {string} - Key of the label set
+   */
+  getKey(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map((name) => labels[name] ?? ""));
+  }
+
+  getLabels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(
+      this.labelNames.map((name, index) => [name, values[index]])
+    );
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  renderSamples() {
+    return [...this.values].map(
+      ([key, value]) =>
+        `${this.name}${formatLabels(this.getLabels(key))} ${value}`
+    );
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples(),
+    ].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = this.getKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.getKey(labels)) || 0;
+  }
+}
+
+// Gauge whose values are set directly, or read by a collect function each
+// time the metrics are rendered
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super("gauge", options);
+    this.collect = collect || null;
+  }
+
+  set(labels, value) {
+    this.values.set(this.getKey(labels), value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.getKey(labels)) || 0;
+  }
+
+  render() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.getKey(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, {
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {Object} labels - Label values by name
+   * @returns {Function} - Call when the operation ends to observe its
+   * duration in seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () =>
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  renderSamples() {
+    return [...this.values].flatMap(([key, { counts, sum, count }]) => {
+      const labels = this.getLabels(key);
+      return [
+        ...this.buckets.map(
+          (bound, index) =>
+            `${this.name}_bucket${formatLabels({
+              ...labels,
+              le: bound,
+            })} ${counts[index]}`
+        ),
+        `${this.name}_bucket${formatLabels({
+          ...labels,
+          le: "+Inf",
+        })} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`,
+      ];
+    });
+  }
+}
+
+// Collection of metrics rendered together in the Prometheus text format
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  render() {
+    return `${[...this.metrics.values()]
+      .map((metric) => metric.render())
+      .join("\n")}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram };
@@ -0,0 +1,85 @@
+const http = require("http");
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// HTTP endpoint for health checks and Prometheus scrapes:
+// /healthz - whether the bot is alive, /readyz - whether it finished
+// starting, /metrics - the metrics registry
+class HealthServer {
+  constructor({ port, host, logger, metrics, getHealth, getReadiness }) {
+    this.port = port;
+    this.host = host;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.getHealth = getHealth;
+    this.getReadiness = getReadiness;
+    this.server = null;
+  }
+
+  /**
+   * Answer with a status report as JSON
+   * @param {ServerResponse} res - HTTP response
+   * @param {{ok: boolean}} report - Report from getHealth or getReadiness,
+   * with details to include
+   */
+  sendReport(res, { ok, ...details }) {
+    res
+      .writeHead(ok ? 200 : 503, { "Content-Type": "application/json" })
+      .end(JSON.stringify({ status: ok ? "ok" : "unavailable", ...details }));
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    if (pathname === "/healthz") {
+      this.sendReport(res, await this.getHealth());
+    } else if (pathname === "/readyz") {
+      this.sendReport(res, await this.getReadiness());
+    } else if (pathname === "/metrics") {
+      res
+        .writeHead(200, { "Content-Type": PROMETHEUS_CONTENT_TYPE })
+        .end(this.metrics.render());
+    } else {
+      res.writeHead(404).end();
+    }
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.logger.error(`Error in health endpoint: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.logger.info(
+          `Serving /healthz, /readyz and /metrics on port ${
+            this.server.address().port
+          }`
+        );
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = { HealthServer };
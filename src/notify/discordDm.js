@@ -0,0 +1,52 @@
+// Sends notifications as direct messages to applicants who are members of
+// one of the bot's servers
+class DiscordDmTransport {
+  constructor({ client }) {
+    this.kind = "discord";
+    this.client = client;
+  }
+
+  /**
+   * Find the user an answer refers to, by user ID or by username. Usernames
+   * are unique across Discord, so the first server with a match has the
+   * right user. Old style "name#1234" handles are matched by their name.
+   * @param {string} handle - Discord user ID or username from the response
+   * @returns {User}
+   */
+  async findUser(handle) {
+    if (/^\d{17,20}$/.test(handle)) {
+      return this.client.users.fetch(handle);
+    }
+
+    const username = handle.replace(/^@/, "").split("#")[0].toLowerCase();
+    for (const guild of this.client.guilds.cache.values()) {
+      const members = await guild.members.search({
+        query: username,
+        limit: 10,
+      });
+      const member = members.find(
+        (m) => m.user.username.toLowerCase() === username
+      );
+      if (member) {
+        return member.user;
+      }
+    }
+    throw new Error(`No member named "${handle}" in the bot's servers`);
+  }
+
+  /**
+   * Send a notification as a direct message
+   * @param {string} handle - Discord user ID or username from the response
+   * @param {{subject: string, body: string}} message - Rendered message
+   */
+  async send(handle, { subject, body }) {
+    const user = await this.findUser(handle);
+    const content = `**${subject}**\n\n${body}`;
+    await user.send({
+      content: content.length > 2000 ? `${content.slice(0, 1999)}…` : content,
+      allowedMentions: { parse: [] },
+    });
+  }
+}
+
+module.exports = { DiscordDmTransport };
@@ -0,0 +1,114 @@
+const { renderTemplate } = require("../templates");
+
+// Events applicants can be notified of: their thread being created, and the
+// review decisions
+const NOTIFY_EVENTS = ["received", "approved", "rejected", "needsInfo"];
+
+// Messages for events a form doesn't word itself, rendered with the same
+// values as thread templates plus formName and status
+const DEFAULT_MESSAGES = {
+  received: {
+    subject: "We received your submission: {{projectName}}",
+    body:
+      "Hello,\n\nThank you for submitting {{projectName}}{{#if formName}} to " +
+      "{{formName}}{{/if}} on {{submitted}}. It has been passed on to our " +
+      "reviewers, and we will let you know when it has been reviewed.",
+  },
+  approved: {
+    subject: "Your submission was approved: {{projectName}}",
+    body:
+      "Hello,\n\nGood news: {{projectName}}{{#if formName}} ({{formName}})" +
+      "{{/if}} has been approved. We will be in touch about the next steps.",
+  },
+  rejected: {
+    subject: "Your submission was not approved: {{projectName}}",
+    body:
+      "Hello,\n\nThank you for submitting {{projectName}}{{#if formName}} to " +
+      "{{formName}}{{/if}}. After review, it has not been approved.",
+  },
+  needsInfo: {
+    subject: "More information needed: {{projectName}}",
+    body:
+      "Hello,\n\nOur reviewers need more information about {{projectName}}" +
+      "{{#if formName}} ({{formName}}){{/if}}. We will contact you with " +
+      "their questions.",
+  },
+};
+
+/**
+ * Find the contact answers of a response whose question titles include one
+ * of the keys, the same way getProjectName finds the project name
+ * @param {Object} formattedResponse - Response produced by formatResponse
+ * @param {string[]} keys - Strings identifying the contact questions
+ * @returns {string[]} - The contact answers, trimmed and without duplicates
+ */
+function findContacts(formattedResponse, keys) {
+  const contacts = Object.entries(formattedResponse)
+    .filter(
+      ([question, value]) =>
+        typeof value === "string" &&
+        keys.some((key) => question.toLowerCase().includes(key.toLowerCase()))
+    )
+    .flatMap(([, value]) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return [...new Set(contacts)];
+}
+
+// Sends applicants templated messages through every transport they left a
+// contact for. Each transport has a kind, matching the form's <kind>Keys
+// setting, and a send(contact, {subject, body}) method.
+class Notifier {
+  constructor({ transports, logger }) {
+    this.transports = transports;
+    this.logger = logger;
+  }
+
+  /**
+   * Notify the applicant of a response of an event. Failures are logged
+   * and never thrown, so they can't hold up posting or reviewing.
+   * @param {string} event - One of NOTIFY_EVENTS
+   * @param {Object} settings - Form's notify settings
+   * @param {Object} formattedResponse - Response produced by formatResponse
+   * @param {Object} context - Values available to the message templates
+   * @returns {number} - Number of messages sent
+   */
+  async notify(event, settings, formattedResponse, context) {
+    let sent = 0;
+
+    try {
+      const template = settings.messages[event];
+      const message = {
+        subject: renderTemplate(template.subject, context),
+        body: renderTemplate(template.body, context),
+      };
+
+      for (const transport of this.transports) {
+        const keys = settings[`${transport.kind}Keys`] || [];
+        for (const contact of findContacts(formattedResponse, keys)) {
+          try {
+            await transport.send(contact, message);
+            sent++;
+            this.logger.info(
+              `Sent ${event} notification for response ${formattedResponse.responseId} by ${transport.kind}`
+            );
+          } catch (error) {
+            this.logger.warn(
+              `Error sending ${event} notification for response ${
+                formattedResponse.responseId
+              } by ${transport.kind}: ${error.message}`
+            );
+          }
+        }
+      }
+    } catch (error) {
+      this.logger.error(
+        `Error notifying applicant of response ${formattedResponse.responseId}: ${error.message}`
+      );
+    }
+
+    return sent;
+  }
+}
+
+module.exports = { Notifier, NOTIFY_EVENTS, DEFAULT_MESSAGES, findContacts };
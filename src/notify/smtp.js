@@ -0,0 +1,42 @@
+const nodemailer = require("nodemailer");
+
+// Loose check that an answer looks like an email address, so answers to a
+// question like "Email or Discord" only get mail when they can
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sends notifications by email through an SMTP server
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass, from }) {
+    this.kind = "email";
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  /**
+   * Send a notification by email
+   * @param {string} address - Email address from the response
+   * @param {{subject: string, body: string}} message - Rendered message
+   */
+  async send(address, { subject, body }) {
+    if (!EMAIL_PATTERN.test(address)) {
+      throw new Error(`"${address}" is not an email address`);
+    }
+    await this.transporter.sendMail({
+      from: this.from,
+      to: address,
+      subject,
+      text: body,
+    });
+  }
+
+  close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = { SmtpTransport };
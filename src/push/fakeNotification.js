@@ -0,0 +1,53 @@
+// Send a fake Forms watch notification in Pub/Sub push format to the local
+// push endpoint, for testing push mode without Google Cloud.
+// Usage: node src/push/fakeNotification.js <formId> [endpointUrl]
+require("dotenv").config();
+
+async function sendNotification(formId, endpoint) {
+  const body = {
+    message: {
+      attributes: {
+        eventType: "RESPONSES",
+        formId,
+        watchId: "fake-watch",
+      },
+      data: "",
+      messageId: `fake-${Date.now()}`,
+      publishTime: new Date().toISOString(),
+    },
+    subscription: "projects/local/subscriptions/fake",
+  };
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  console.warn(`Notification for form ${formId} sent: ${response.status}`);
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+}
+
+const [formId, endpointArg] = process.argv.slice(2);
+
+if (!formId) {
+  console.error("Usage: node src/push/fakeNotification.js <formId> [url]");
+  process.exit(1);
+}
+
+const endpoint = new URL(
+  endpointArg ||
+    `http://localhost:${process.env.PUSH_PORT || 8080}${
+      process.env.PUSH_PATH || "/forms/notifications"
+    }`
+);
+if (!endpointArg && process.env.PUSH_TOKEN) {
+  endpoint.searchParams.set("token", process.env.PUSH_TOKEN);
+}
+
+sendNotification(formId, endpoint).catch((error) => {
+  console.error(`Failed to send notification: ${error.message}`);
+  process.exit(1);
+});
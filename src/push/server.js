@@ -0,0 +1,143 @@
+const http = require("http");
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Read the body of a request, rejecting bodies over MAX_BODY_SIZE
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {string} - The request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Extract the Forms watch notification from a Pub/Sub push message
+ * @param {Object} payload - Parsed request body
+ * @returns {{formId: string, watchId: string, eventType: string}|null}
+ */
+function parseNotification(payload) {
+  const attributes = payload?.message?.attributes;
+  if (!attributes?.formId) {
+    return null;
+  }
+  return {
+    formId: attributes.formId,
+    watchId: attributes.watchId,
+    eventType: attributes.eventType,
+  };
+}
+
+// HTTP endpoint receiving Forms watch notifications in Pub/Sub push format
+class NotificationServer {
+  constructor({ port, path, token, logger, onNotification }) {
+    this.port = port;
+    this.path = path;
+    this.token = token;
+    this.logger = logger;
+    this.onNotification = onNotification;
+    this.lastNotifications = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Time of the last notification received for a form
+   * @param {string} formId - Google Form ID
+   * @returns {Date|null} - The time, or null if none was received yet
+   */
+  getLastNotification(formId) {
+    return this.lastNotifications.get(formId) || null;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (url.pathname !== this.path) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method !== "POST") {
+      res.writeHead(405, { Allow: "POST" }).end();
+      return;
+    }
+    if (this.token && url.searchParams.get("token") !== this.token) {
+      this.logger.warn("Rejected push notification with an invalid token");
+      res.writeHead(403).end();
+      return;
+    }
+
+    let notification;
+    try {
+      notification = parseNotification(JSON.parse(await readBody(req)));
+    } catch (error) {
+      this.logger.warn(`Invalid push notification: ${error.message}`);
+      res.writeHead(400).end();
+      return;
+    }
+
+    // Pub/Sub redelivers a push message until it is acknowledged with a 2xx
+    if (!notification) {
+      this.logger.warn("Push notification without a form ID ignored");
+      res.writeHead(204).end();
+      return;
+    }
+
+    this.logger.info(
+      `Received ${notification.eventType} notification for form ${notification.formId}`
+    );
+    this.lastNotifications.set(notification.formId, new Date());
+    res.writeHead(204).end();
+
+    try {
+      await this.onNotification(notification);
+    } catch (error) {
+      this.logger.error(
+        `Error handling notification for form ${notification.formId}: ${error.message}`
+      );
+    }
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.logger.error(`Error in push endpoint: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, () => {
+        this.logger.info(
+          `Listening for form notifications on port ${this.port} at ${this.path}`
+        );
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = { NotificationServer, parseNotification };
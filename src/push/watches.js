@@ -0,0 +1,149 @@
+const { google } = require("googleapis");
+
+// Forms watches expire after seven days unless renewed
+const RENEW_BEFORE_EXPIRY = 24 * 60 * 60 * 1000;
+const RETRY_AFTER_FAILURE = 60 * 60 * 1000;
+
+// Creates and renews Forms API watches delivering RESPONSES events to a
+// Pub/Sub topic
+class WatchManager {
+  constructor({ auth, topicName, logger, retryPolicy }) {
+    this.forms = google.forms({ version: "v1", auth });
+    this.topicName = topicName;
+    this.logger = logger;
+    this.retryPolicy = retryPolicy;
+    this.watches = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Whether a form currently has an active watch
+   * @param {string} formId - Google Form ID
+   * @returns {boolean}
+   */
+  isWatched(formId) {
+    const watch = this.watches.get(formId);
+    return Boolean(watch) && new Date(watch.expireTime) > new Date();
+  }
+
+  async watchAll(formIds) {
+    for (const formId of formIds) {
+      await this.watch(formId);
+    }
+  }
+
+  /**
+   * Make sure a form has a watch on the configured topic, renewing an
+   * existing one or creating it, and schedule its next renewal
+   * @param {string} formId - Google Form ID
+   */
+  async watch(formId) {
+    try {
+      const { data } = await this.retryPolicy.run(
+        () => this.forms.forms.watches.list({ formId }),
+        `Listing watches of form ${formId}`
+      );
+      const existing = (data.watches || []).find(
+        (w) => w.eventType === "RESPONSES"
+      );
+
+      let watch;
+      if (existing && existing.target?.topic?.topicName === this.topicName) {
+        watch = await this.renew(formId, existing.id);
+      } else {
+        if (existing) {
+          // Only one RESPONSES watch is allowed per form and project
+          await this.retryPolicy.run(
+            () =>
+              this.forms.forms.watches.delete({
+                formId,
+                watchId: existing.id,
+              }),
+            `Deleting watch ${existing.id} of form ${formId}`
+          );
+        }
+        const response = await this.retryPolicy.run(
+          () =>
+            this.forms.forms.watches.create({
+              formId,
+              requestBody: {
+                watch: {
+                  target: { topic: { topicName: this.topicName } },
+                  eventType: "RESPONSES",
+                },
+              },
+            }),
+          `Creating watch for form ${formId}`
+        );
+        watch = response.data;
+        this.logger.info(`Created watch ${watch.id} for form ${formId}`);
+      }
+
+      this.watches.set(formId, watch);
+      this.schedule(
+        formId,
+        new Date(watch.expireTime) - Date.now() - RENEW_BEFORE_EXPIRY
+      );
+    } catch (error) {
+      this.logger.error(
+        `Error setting up watch for form ${formId}: ${error.message}`
+      );
+      this.schedule(formId, RETRY_AFTER_FAILURE);
+    }
+  }
+
+  async renew(formId, watchId) {
+    const response = await this.retryPolicy.run(
+      () => this.forms.forms.watches.renew({ formId, watchId }),
+      `Renewing watch ${watchId} of form ${formId}`
+    );
+    this.logger.info(
+      `Renewed watch ${watchId} for form ${formId} until ${response.data.expireTime}`
+    );
+    return response.data;
+  }
+
+  /**
+   * Stop renewing the watch of a form and delete it
+   * @param {string} formId - Google Form ID
+   */
+  async unwatch(formId) {
+    clearTimeout(this.timers.get(formId));
+    this.timers.delete(formId);
+
+    const watch = this.watches.get(formId);
+    this.watches.delete(formId);
+    if (!watch) {
+      return;
+    }
+
+    try {
+      await this.retryPolicy.run(
+        () => this.forms.forms.watches.delete({ formId, watchId: watch.id }),
+        `Deleting watch ${watch.id} of form ${formId}`
+      );
+      this.logger.info(`Deleted watch ${watch.id} for form ${formId}`);
+    } catch (error) {
+      // The watch expires by itself within seven days
+      this.logger.error(
+        `Error deleting watch for form ${formId}: ${error.message}`
+      );
+    }
+  }
+
+  schedule(formId, delay) {
+    clearTimeout(this.timers.get(formId));
+    const timer = setTimeout(() => this.watch(formId), Math.max(0, delay));
+    timer.unref();
+    this.timers.set(formId, timer);
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = { WatchManager };
@@ -0,0 +1,193 @@
+// HTTP statuses worth another attempt; every other 4xx is permanent
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Network failures raised before any HTTP status is known
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+// Thrown by an operation to stop retrying right away, e.g. a missing forum
+class PermanentError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PermanentError";
+  }
+}
+
+// Thrown by RetryPolicy once an operation fails for good
+class RetryError extends Error {
+  constructor(message, { cause, attempts, retryable }) {
+    super(message, { cause });
+    this.name = "RetryError";
+    this.attempts = attempts;
+    this.retryable = retryable;
+  }
+}
+
+function getStatus(error) {
+  return error.response?.status ?? error.status;
+}
+
+/**
+ * Decide whether a failed Google or Discord API call may succeed if repeated
+ * @param {Error} error - The error thrown by the call
+ * @returns {boolean} - True for rate limits, server and network errors
+ */
+function isRetryable(error) {
+  if (error instanceof PermanentError) {
+    return false;
+  }
+  if (typeof error.retryable === "boolean") {
+    return error.retryable;
+  }
+
+  const status = getStatus(error);
+  if (typeof status === "number") {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_CODES.has(code) || error.name === "AbortError";
+}
+
+/**
+ * Sum up why an operation failed in a few words, for counting failures
+ * without one entry per error message
+ * @param {Error} error - The error thrown by the operation, or a RetryError
+ * wrapping it
+ * @returns {string} - e.g. "http_403", "econnreset" or "permanent"
+ */
+function getFailureReason(error) {
+  const cause = error instanceof RetryError ? error.cause : error;
+
+  const status = getStatus(cause);
+  if (typeof status === "number") {
+    return `http_${status}`;
+  }
+
+  const code = cause.code || cause.cause?.code;
+  if (typeof code === "string") {
+    return code.toLowerCase();
+  }
+
+  if (cause instanceof PermanentError) {
+    return "permanent";
+  }
+  return cause.name === "AbortError" ? "timeout" : "other";
+}
+
+/**
+ * Read the delay requested by the server from a failed call
+ * @param {Error} error - The error thrown by the call
+ * @returns {number|null} - Delay in milliseconds, or null if none was given
+ */
+function getRetryAfter(error) {
+  // discord.js rate limit errors carry the delay in milliseconds
+  if (typeof error.retryAfter === "number") {
+    return error.retryAfter;
+  }
+
+  const headers = error.response?.headers;
+  const value =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Retries operations with jittered exponential backoff within a time budget
+class RetryPolicy {
+  constructor({
+    maxAttempts = 5,
+    baseDelay = 1000,
+    maxDelay = 60000,
+    budget = 300000,
+    logger,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  }) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.budget = budget;
+    this.logger = logger;
+    this.sleep = sleep;
+  }
+
+  getDelay(attempt, error) {
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    // Equal jitter: half of the backoff is fixed, the other half random
+    const backoff = Math.min(
+      this.maxDelay,
+      this.baseDelay * 2 ** (attempt - 1)
+    );
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Run an operation, retrying it while it fails with retryable errors
+   * @param {Function} operation - Async function to run, receives the attempt number
+   * @param {string} context - Description of the operation for logs and errors
+   * @returns {*} - The operation's result
+   * @throws {RetryError} - When the error is permanent or the budget is spent
+   */
+  async run(operation, context) {
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        const retryable = isRetryable(error);
+        const delay = retryable ? this.getDelay(attempt, error) : 0;
+        const exhausted =
+          attempt >= this.maxAttempts ||
+          Date.now() - startedAt + delay > this.budget;
+
+        if (!retryable || exhausted) {
+          throw new RetryError(`${context}: ${error.message}`, {
+            cause: error,
+            attempts: attempt,
+            retryable,
+          });
+        }
+
+        this.logger.warn(
+          `${context} failed (attempt ${attempt}/${this.maxAttempts}): ${
+            error.message
+          }. Retrying in ${Math.round(delay / 1000)}s`
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PermanentError,
+  RetryError,
+  RetryPolicy,
+  isRetryable,
+  getFailureReason,
+  getRetryAfter,
+};
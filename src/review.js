@@ -0,0 +1,113 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+// Custom IDs of the review buttons start with this prefix
+const REVIEW_PREFIX = "review:";
+
+// Forum tags marking the review status of a thread, unless a form names its
+// own in statusTags
+const DEFAULT_STATUS_TAGS = {
+  pending: "Pending",
+  approved: "Approved",
+  rejected: "Rejected",
+  needsInfo: "Needs info",
+};
+
+// Buttons on the starter message of every thread. Decisions move the thread
+// to a status tag; assigning only records the reviewer.
+const REVIEW_ACTIONS = {
+  approve: {
+    label: "Approve",
+    emoji: "✅",
+    style: ButtonStyle.Success,
+    status: "approved",
+  },
+  reject: {
+    label: "Reject",
+    emoji: "⛔",
+    style: ButtonStyle.Danger,
+    status: "rejected",
+  },
+  needsInfo: {
+    label: "Needs info",
+    emoji: "❓",
+    style: ButtonStyle.Primary,
+    status: "needsInfo",
+  },
+  assign: {
+    label: "Assign to me",
+    emoji: "🙋",
+    style: ButtonStyle.Secondary,
+    status: null,
+  },
+};
+
+/**
+ * Build the row of review buttons for a thread's starter message
+ * @returns {ActionRowBuilder}
+ */
+function createReviewButtons() {
+  return new ActionRowBuilder().addComponents(
+    Object.entries(REVIEW_ACTIONS).map(([action, { label, emoji, style }]) =>
+      new ButtonBuilder()
+        .setCustomId(`${REVIEW_PREFIX}${action}`)
+        .setLabel(label)
+        .setEmoji(emoji)
+        .setStyle(style)
+    )
+  );
+}
+
+/**
+ * Get the review action of a button's custom ID
+ * @param {string} customId - Custom ID of the pressed button
+ * @returns {string|null} - Key of REVIEW_ACTIONS, or null for other buttons
+ */
+function parseReviewAction(customId) {
+  if (!customId.startsWith(REVIEW_PREFIX)) {
+    return null;
+  }
+  const action = customId.slice(REVIEW_PREFIX.length);
+  return Object.hasOwn(REVIEW_ACTIONS, action) ? action : null;
+}
+
+/**
+ * Record a review action on a response record. Decisions set the status and
+ * who decided when, assigning sets the assignee, and every action is added
+ * to the review history.
+ * @param {Object} record - Response record from the store
+ * @param {string} action - Key of REVIEW_ACTIONS
+ * @param {string|null} userId - Discord ID of the reviewer, or null for
+ * decisions reached by a vote
+ * @param {string} at - ISO timestamp of the action
+ * @returns {Object} - The updated record
+ */
+function applyReviewAction(record, action, userId, at) {
+  const review = record.review || {
+    status: "pending",
+    reviewerId: null,
+    reviewedAt: null,
+    assigneeId: null,
+    assignedAt: null,
+    history: [],
+  };
+  const { status } = REVIEW_ACTIONS[action];
+
+  return {
+    ...record,
+    review: {
+      ...review,
+      ...(status
+        ? { status, reviewerId: userId, reviewedAt: at }
+        : { assigneeId: userId, assignedAt: at }),
+      history: [...review.history, { action, userId, at }],
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STATUS_TAGS,
+  REVIEW_ACTIONS,
+  createReviewButtons,
+  parseReviewAction,
+  applyReviewAction,
+};
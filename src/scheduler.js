@@ -0,0 +1,196 @@
+const cronParser = require("cron-parser");
+
+// setTimeout can't wait longer than about 24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Parse a form schedule from its configured value
+ * @param {number|string} value - Interval in seconds, or a cron expression
+ * @returns {{interval: number}|{cron: string}} - Interval in milliseconds or
+ * the validated cron expression
+ */
+function parseSchedule(value) {
+  if (typeof value === "number" || /^\d+$/.test(value)) {
+    const seconds = Number(value);
+    if (seconds <= 0) {
+      throw new Error(`Invalid check interval "${value}"`);
+    }
+    return { interval: seconds * 1000 };
+  }
+
+  try {
+    cronParser.parseExpression(value);
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${value}": ${error.message}`);
+  }
+  return { cron: value };
+}
+
+// Runs form checks on per-form schedules, with at most maxConcurrency checks
+// at a time and never two checks of the same form at once
+class FormScheduler {
+  constructor({ maxConcurrency = 2, logger, runCheck }) {
+    this.maxConcurrency = maxConcurrency;
+    this.logger = logger;
+    this.runCheck = runCheck;
+    this.schedules = new Map();
+    this.timers = new Map();
+    this.nextRuns = new Map();
+    this.running = new Map();
+    this.pending = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.started = false;
+  }
+
+  /**
+   * Set or replace the schedule of a form
+   * @param {string} formId - Google Form ID
+   * @param {{interval: number}|{cron: string}} schedule - From parseSchedule
+   */
+  setSchedule(formId, schedule) {
+    this.schedules.set(formId, schedule);
+    if (this.started) {
+      this.scheduleNext(formId);
+    }
+  }
+
+  removeSchedule(formId) {
+    this.schedules.delete(formId);
+    clearTimeout(this.timers.get(formId));
+    this.timers.delete(formId);
+    this.nextRuns.delete(formId);
+  }
+
+  /**
+   * Time of the next scheduled check of a form
+   * @param {string} formId - Google Form ID
+   * @returns {Date|null} - The time, or null if the form isn't scheduled
+   */
+  getNextRun(formId) {
+    return this.nextRuns.get(formId) || null;
+  }
+
+  isRunning(formId) {
+    return this.running.has(formId);
+  }
+
+  start() {
+    this.started = true;
+    for (const formId of this.schedules.keys()) {
+      this.scheduleNext(formId, 0);
+    }
+  }
+
+  stop() {
+    this.started = false;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.nextRuns.clear();
+  }
+
+  scheduleNext(formId, delay) {
+    const schedule = this.schedules.get(formId);
+    if (!schedule) {
+      return;
+    }
+
+    let wait = delay;
+    if (wait === undefined) {
+      wait = schedule.cron
+        ? cronParser.parseExpression(schedule.cron).next().getTime() -
+          Date.now()
+        : schedule.interval;
+    }
+
+    clearTimeout(this.timers.get(formId));
+    this.nextRuns.set(formId, new Date(Date.now() + wait));
+    this.timers.set(
+      formId,
+      setTimeout(() => {
+        this.run(formId).catch((error) => {
+          this.logger.error(
+            `Scheduled check of form ${formId} failed: ${error.message}`
+          );
+        });
+      }, Math.min(Math.max(0, wait), MAX_TIMEOUT))
+    );
+  }
+
+  /**
+   * Check a form now. If the form is being checked already, one more check
+   * is queued to run right after it, and callers share that check.
+   * @param {string} formId - Google Form ID
+   * @returns {Promise<*>} - Result of runCheck
+   */
+  run(formId) {
+    if (this.pending.has(formId)) {
+      return this.pending.get(formId);
+    }
+
+    const current = this.running.get(formId);
+    if (current) {
+      const next = current
+        .catch(() => {})
+        .then(() => {
+          this.pending.delete(formId);
+          return this.run(formId);
+        });
+      this.pending.set(formId, next);
+      return next;
+    }
+
+    const check = this.execute(formId).finally(() => {
+      this.running.delete(formId);
+      if (this.started) {
+        this.scheduleNext(formId);
+      }
+    });
+    this.running.set(formId, check);
+    return check;
+  }
+
+  /**
+   * Run a task for a form once no check of it is running, holding off checks
+   * until it is done. Used for work that must not race a check, such as a
+   * manual retry of a failed response.
+   * @param {string} formId - Google Form ID
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Result of the task
+   */
+  async runExclusive(formId, task) {
+    while (this.running.has(formId)) {
+      await this.running.get(formId).catch(() => {});
+    }
+
+    const result = Promise.resolve()
+      .then(task)
+      .finally(() => this.running.delete(formId));
+    this.running.set(formId, result);
+    return result;
+  }
+
+  async execute(formId) {
+    if (this.active >= this.maxConcurrency) {
+      // A finishing check hands its slot over instead of releasing it
+      await new Promise((resolve) => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await this.runCheck(formId);
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+module.exports = { FormScheduler, parseSchedule };
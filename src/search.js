@@ -0,0 +1,288 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} = require("discord.js");
+const { truncate, getProjectName, getTotalCost } = require("./format");
+
+// Custom IDs of the page buttons: "search:<search ID>:<page>"
+const SEARCH_PREFIX = "search:";
+
+const RESULTS_PER_PAGE = 5;
+
+// Characters of an answer shown around the first match
+const SNIPPET_LENGTH = 160;
+
+// Matches in project names and costs rank above matches in other answers
+const WEIGHTS = { projectName: 3, cost: 2, answer: 1 };
+
+// What getProjectName and getTotalCost return when a response has neither,
+// which shouldn't match searches for "project" or "cost"
+const PLACEHOLDERS = new Set(["Unknown Project", "Cost not found"]);
+
+/**
+ * Lower-case a text and strip its accents, so "Pallet" matches "pallet"
+ * and "réseau" matches "reseau"
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Split a query into the terms a response must all contain. Quoted phrases
+ * are kept together.
+ * @param {string} query - Search query, e.g. `"staking pallet" march`
+ * @returns {string[]} - Normalized terms
+ */
+function parseQuery(query) {
+  const terms = [...normalize(query).matchAll(/"([^"]*)"|([^\s"]+)/g)].map(
+    ([, phrase, word]) => (phrase ?? word).trim()
+  );
+  return [...new Set(terms.filter(Boolean))];
+}
+
+/**
+ * List the answers of a formatted response as text, file answers by their
+ * file names
+ * @param {Object} response - Response produced by formatResponse
+ * @returns {{question: string, text: string}[]}
+ */
+function getAnswers(response) {
+  return Object.entries(response)
+    .filter(
+      ([question]) => question !== "responseId" && question !== "Submitted"
+    )
+    .map(([question, value]) => ({
+      question,
+      text:
+        value && typeof value === "object"
+          ? Object.keys(value).join(", ")
+          : String(value ?? ""),
+    }))
+    .filter(({ text }) => text);
+}
+
+function countOccurrences(text, term) {
+  let count = 0;
+  for (
+    let index = text.indexOf(term);
+    index !== -1;
+    index = text.indexOf(term, index + term.length)
+  ) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Cut the part of an answer around a term
+ * @param {string} text - Answer text
+ * @param {number} index - Where the term starts in the normalized text
+ * @returns {string}
+ */
+function getExcerpt(text, index) {
+  const flat = text.replace(/\s+/g, " ");
+  const start = Math.max(0, index - SNIPPET_LENGTH / 3);
+  const excerpt = flat.slice(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? "…" : ""}${excerpt}${
+    start + SNIPPET_LENGTH < flat.length ? "…" : ""
+  }`;
+}
+
+/**
+ * Search tracked responses for answers, project names and costs containing
+ * every term of a query
+ * @param {Object[]} entries - Responses to search, as {formId, form, record}
+ * with the form's configuration and the record from the store
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {string|null} [options.from] - Only responses submitted on or after
+ * this date (YYYY-MM-DD)
+ * @param {string|null} [options.to] - Only responses submitted on or before
+ * this date (YYYY-MM-DD)
+ * @returns {Object[]} - Matches with their formId, threadId, projectName,
+ * cost, submission date and an excerpt of the first matching answer, best
+ * first
+ */
+function searchResponses(entries, query, { from = null, to = null } = {}) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  for (const { formId, form, record } of entries) {
+    const response = record.response;
+    if (!response) {
+      continue;
+    }
+
+    const submitted =
+      response.Submitted || record.lastSubmittedTime?.slice(0, 10) || null;
+    if ((from && (!submitted || submitted < from)) || (to && submitted > to)) {
+      continue;
+    }
+
+    const projectName = getProjectName(response, form.projectNameKeys);
+    const cost = getTotalCost(response, form.costKeys);
+    const answers = getAnswers(response).map((answer) => ({
+      ...answer,
+      normalized: normalize(answer.text),
+    }));
+    const fields = [
+      { weight: WEIGHTS.projectName, text: projectName },
+      { weight: WEIGHTS.cost, text: cost },
+    ]
+      .filter(({ text }) => typeof text === "string" && !PLACEHOLDERS.has(text))
+      .map(({ weight, text }) => ({ weight, normalized: normalize(text) }))
+      .concat(
+        answers.map(({ normalized }) => ({
+          weight: WEIGHTS.answer,
+          normalized,
+        }))
+      );
+
+    let score = 0;
+    const allFound = terms.every((term) => {
+      const termScore = fields.reduce(
+        (sum, field) =>
+          sum + field.weight * countOccurrences(field.normalized, term),
+        0
+      );
+      score += termScore;
+      return termScore > 0;
+    });
+    if (!allFound) {
+      continue;
+    }
+
+    const [firstTerm] = terms;
+    const answer = answers.find(({ normalized }) =>
+      normalized.includes(firstTerm)
+    );
+    let excerpt = null;
+    if (answer) {
+      const index = answer.normalized.indexOf(firstTerm);
+      excerpt = `${answer.question}: ${getExcerpt(answer.text, index)}`;
+    }
+
+    matches.push({
+      formId,
+      responseId: record.responseId,
+      threadId: record.threadId || null,
+      projectName,
+      cost,
+      submitted,
+      excerpt,
+      score,
+    });
+  }
+
+  return matches.sort(
+    (a, b) =>
+      b.score - a.score || (b.submitted || "").localeCompare(a.submitted || "")
+  );
+}
+
+/**
+ * Build a page of search results as an embed, with buttons to the previous
+ * and next pages
+ * @param {Object[]} matches - Matches from searchResponses
+ * @param {number} page - Page to show, from 0
+ * @param {Object} context
+ * @param {string} context.searchId - ID of the search, for the buttons
+ * @param {string} context.query - The search query
+ * @param {string} context.guildId - Guild of the threads, for jump links
+ * @param {Function} context.getFormTitle - Title of a form by its ID
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function buildSearchPage(
+  matches,
+  page,
+  { searchId, query, guildId, getFormTitle }
+) {
+  const pageCount = Math.max(1, Math.ceil(matches.length / RESULTS_PER_PAGE));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  const results = matches.slice(
+    current * RESULTS_PER_PAGE,
+    (current + 1) * RESULTS_PER_PAGE
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(truncate(`Search: ${query}`, 256))
+    .setDescription(
+      matches.length === 0
+        ? "No tracked responses match."
+        : `${matches.length} responses match.`
+    );
+
+  for (const match of results) {
+    const lines = [
+      `${getFormTitle(match.formId)}, submitted ${
+        match.submitted || "unknown"
+      }`,
+      match.threadId
+        ? `[Open thread](https://discord.com/channels/${guildId}/${match.threadId})`
+        : `No thread (response \`${match.responseId}\`)`,
+      ...(match.excerpt ? [`> ${truncate(match.excerpt, 700)}`] : []),
+    ];
+    embed.addFields({
+      name: truncate(
+        `${match.projectName}${
+          match.cost && !PLACEHOLDERS.has(match.cost) ? ` - ${match.cost}` : ""
+        }`,
+        256
+      ),
+      value: lines.join("\n"),
+    });
+  }
+
+  if (pageCount > 1) {
+    embed.setFooter({ text: `Page ${current + 1}/${pageCount}` });
+  }
+
+  const components = [];
+  if (pageCount > 1) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(
+            `${SEARCH_PREFIX}${searchId}:${Math.max(0, current - 1)}`
+          )
+          .setLabel("Previous")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current === 0),
+        new ButtonBuilder()
+          .setCustomId(`${SEARCH_PREFIX}${searchId}:${current + 1}`)
+          .setLabel("Next")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current === pageCount - 1)
+      )
+    );
+  }
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Get the search and page of a page button's custom ID
+ * @param {string} customId - Custom ID of the pressed button
+ * @returns {{searchId: string, page: number}|null} - Null for other buttons
+ */
+function parseSearchAction(customId) {
+  const match = customId.match(/^search:([^:]+):(\d+)$/);
+  return match ? { searchId: match[1], page: Number(match[2]) } : null;
+}
+
+module.exports = {
+  parseQuery,
+  searchResponses,
+  buildSearchPage,
+  parseSearchAction,
+};
@@ -0,0 +1,121 @@
+const { EmbedBuilder } = require("discord.js");
+const { truncate } = require("./format");
+
+const STATUS_COLORS = {
+  ok: 0x2ecc71,
+  failing: 0xe74c3c,
+  unchecked: 0x95a5a6,
+};
+
+// Fields of an embed stay well under its 6000 character limit at this count
+const FIELDS_PER_EMBED = 10;
+
+const MAX_ERROR_LENGTH = 200;
+
+function formatTime(date) {
+  return `<t:${Math.floor(new Date(date) / 1000)}:R>`;
+}
+
+/**
+ * Classify the latest checks of a form
+ * @param {Object|null} check - Check status of the form, null if it wasn't
+ * checked since the bot started
+ * @returns {string} - "ok", "failing" or "unchecked"
+ */
+function getCheckState(check) {
+  if (!check) {
+    return "unchecked";
+  }
+  // A failed check is only current if no check succeeded after it
+  return check.lastError &&
+    (!check.lastSuccessAt || check.lastError.at >= check.lastSuccessAt)
+    ? "failing"
+    : "ok";
+}
+
+/**
+ * Describe the state of a form as an embed field
+ * @param {Object} status - State of the form
+ * @param {string} status.formId - Google Form ID
+ * @param {string} status.title - Form title
+ * @param {Object} status.form - Configuration of the form
+ * @param {Object|null} status.check - Outcome of its latest checks
+ * @param {number} status.tracked - Number of tracked responses
+ * @param {number} status.failed - Number of responses in the failed queue
+ * @param {number} status.retryable - How many of those are retried
+ * @param {Date|null} status.nextRun - Time of the next scheduled check
+ * @param {boolean} status.running - Whether the form is being checked
+ * @returns {{name: string, value: string}}
+ */
+function buildStatusField(status) {
+  const { formId, title, form, check } = status;
+  const state = getCheckState(check);
+  const icon = { ok: "✅", failing: "⚠️", unchecked: "⏳" }[state];
+
+  let nextCheck = "not scheduled";
+  if (status.running) {
+    nextCheck = "running now";
+  } else if (status.nextRun) {
+    nextCheck = formatTime(status.nextRun);
+  }
+
+  let lastError = "none";
+  if (check?.lastError) {
+    const message = truncate(check.lastError.message, MAX_ERROR_LENGTH);
+    lastError = `${formatTime(check.lastError.at)} ${message}`;
+  }
+
+  const lines = [
+    `\`${formId}\` → <#${form.forum}>${form.tag ? ` [${form.tag}]` : ""}`,
+    `**Last successful check:** ${
+      check?.lastSuccessAt
+        ? formatTime(check.lastSuccessAt)
+        : "none since the bot started"
+    }`,
+    `**Last error:** ${lastError}`,
+    `**Tracked responses:** ${status.tracked}`,
+    `**Failed deliveries:** ${status.failed}${
+      status.failed > 0 ? ` (${status.retryable} to retry)` : ""
+    }`,
+    `**Next check:** ${nextCheck}`,
+  ];
+
+  return {
+    name: truncate(`${icon} ${title}`, 256),
+    value: lines.join("\n"),
+  };
+}
+
+/**
+ * Build the /status embeds, one field per form
+ * @param {Object[]} statuses - States of the forms, see buildStatusField
+ * @returns {EmbedBuilder[]} - Embeds of up to FIELDS_PER_EMBED forms each,
+ * red if any of their forms is failing
+ */
+function buildStatusEmbeds(statuses) {
+  const embeds = [];
+  const pageCount = Math.ceil(statuses.length / FIELDS_PER_EMBED);
+
+  for (let start = 0; start < statuses.length; start += FIELDS_PER_EMBED) {
+    const batch = statuses.slice(start, start + FIELDS_PER_EMBED);
+    const states = batch.map((status) => getCheckState(status.check));
+    const state =
+      ["failing", "ok"].find((s) => states.includes(s)) || "unchecked";
+
+    embeds.push(
+      new EmbedBuilder()
+        .setTitle(
+          pageCount > 1
+            ? `Form status (${embeds.length + 1}/${pageCount})`
+            : "Form status"
+        )
+        .setColor(STATUS_COLORS[state])
+        .addFields(batch.map(buildStatusField))
+        .setTimestamp()
+    );
+  }
+
+  return embeds;
+}
+
+module.exports = { getCheckState, buildStatusField, buildStatusEmbeds };
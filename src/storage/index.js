@@ -0,0 +1,34 @@
+const { JsonResponseStore } = require("./jsonStore");
+const { SqliteResponseStore } = require("./sqliteStore");
+
+const STORES = {
+  json: JsonResponseStore,
+  sqlite: SqliteResponseStore,
+};
+
+/**
+ * Create and initialise a response store
+ * @param {string} type - Storage backend, "json" or "sqlite"
+ * @param {Object} options - Backend options ({ filePath, logger })
+ * @returns {Object} - The initialised store
+ */
+async function createResponseStore(type, options) {
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(
+      `Unknown response store "${type}". Expected one of: ${Object.keys(
+        STORES
+      ).join(", ")}`
+    );
+  }
+
+  const store = new Store(options);
+  await store.init();
+  return store;
+}
+
+module.exports = {
+  createResponseStore,
+  JsonResponseStore,
+  SqliteResponseStore,
+};
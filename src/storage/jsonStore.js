@@ -0,0 +1,215 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Convert a tracked entry from an older track file into a response record.
+ * Older files stored the formatted response itself, without a thread ID.
+ * @param {Object} entry - Tracked entry
+ * @returns {Object} - Response record
+ */
+function toRecord(entry) {
+  if (entry.response) {
+    return entry;
+  }
+  return {
+    responseId: entry.responseId,
+    lastSubmittedTime: null,
+    threadId: null,
+    response: entry,
+  };
+}
+
+// Response store backed by a single JSON file, rewritten on every change
+class JsonResponseStore {
+  constructor({ filePath, logger }) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.track = {};
+    // Saves run one after another, so two writes never mix in the file
+    this.saving = Promise.resolve();
+  }
+
+  async init() {
+    const filename = path.basename(this.filePath);
+
+    try {
+      const data = await fs.readFile(this.filePath, "utf8");
+      this.track = data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.logger.info(
+          "No existing response track found. Creating a new one."
+        );
+      } else if (error instanceof SyntaxError) {
+        this.logger.warn(
+          `Invalid JSON in response track file ${filename}. Creating a new one.`
+        );
+      } else {
+        this.logger.error(`Error reading response track: ${error.message}`);
+        this.track = {};
+        return;
+      }
+      this.track = {};
+      await this.save();
+      return;
+    }
+
+    // Older track files stored a plain array of responses per form
+    for (const [formId, entry] of Object.entries(this.track)) {
+      const formTrack = Array.isArray(entry)
+        ? { lastSubmittedTime: null, responses: entry }
+        : entry;
+      formTrack.responses = formTrack.responses.map(toRecord);
+      formTrack.failed = formTrack.failed || [];
+      this.track[formId] = formTrack;
+    }
+  }
+
+  /**
+   * Write the track to its file once earlier saves have finished
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.saving = this.saving.then(() => this.write());
+    return this.saving;
+  }
+
+  async write() {
+    const filename = path.basename(this.filePath);
+    const tempFile = `${this.filePath}.tmp`;
+
+    const data = JSON.stringify(this.track, null, 2);
+
+    try {
+      // Write to a temporary file first so a crash never leaves a partial track
+      await fs.writeFile(tempFile, data, "utf8");
+      try {
+        await fs.rename(tempFile, this.filePath);
+      } catch (error) {
+        // A bind-mounted track file (docker-compose) can't be replaced
+        if (error.code !== "EBUSY" && error.code !== "EXDEV") {
+          throw error;
+        }
+        await fs.writeFile(this.filePath, data, "utf8");
+        await fs.unlink(tempFile);
+      }
+      this.logger.info(`Successfully wrote to ${filename}`);
+    } catch (error) {
+      this.logger.error(`Error writing to ${filename}: ${error.message}`);
+    }
+  }
+
+  getFormTrack(formId) {
+    if (!this.track[formId]) {
+      this.track[formId] = {
+        lastSubmittedTime: null,
+        responses: [],
+        failed: [],
+      };
+    }
+    return this.track[formId];
+  }
+
+  async getWatermark(formId) {
+    return this.track[formId]?.lastSubmittedTime || null;
+  }
+
+  async setWatermark(formId, lastSubmittedTime) {
+    this.getFormTrack(formId).lastSubmittedTime = lastSubmittedTime;
+    await this.save();
+  }
+
+  async getTrackedIds(formId) {
+    const responses = this.track[formId]?.responses || [];
+    return new Set(responses.map((r) => r.responseId));
+  }
+
+  async getResponse(formId, responseId) {
+    const responses = this.track[formId]?.responses || [];
+    return responses.find((r) => r.responseId === responseId) || null;
+  }
+
+  async listResponses(formId) {
+    return this.track[formId]?.responses || [];
+  }
+
+  async findResponseByThread(threadId) {
+    for (const [formId, formTrack] of Object.entries(this.track)) {
+      const record = formTrack.responses.find((r) => r.threadId === threadId);
+      if (record) {
+        return { formId, record };
+      }
+    }
+    return null;
+  }
+
+  async countResponses(formId) {
+    return this.track[formId]?.responses.length || 0;
+  }
+
+  async listFormIds() {
+    return Object.keys(this.track);
+  }
+
+  async saveResponse(formId, record) {
+    const formTrack = this.getFormTrack(formId);
+    const index = formTrack.responses.findIndex(
+      (r) => r.responseId === record.responseId
+    );
+
+    if (index === -1) {
+      formTrack.responses.push(record);
+    } else {
+      formTrack.responses[index] = record;
+    }
+
+    await this.save();
+  }
+
+  async getFailure(formId, responseId) {
+    const failed = this.track[formId]?.failed || [];
+    return failed.find((f) => f.responseId === responseId) || null;
+  }
+
+  async listFailures(formId) {
+    const formIds = formId ? [formId] : Object.keys(this.track);
+    return formIds.flatMap((id) =>
+      (this.track[id]?.failed || []).map((failure) => ({
+        ...failure,
+        formId: id,
+      }))
+    );
+  }
+
+  async saveFailure(formId, failure) {
+    const formTrack = this.getFormTrack(formId);
+    const index = formTrack.failed.findIndex(
+      (f) => f.responseId === failure.responseId
+    );
+
+    if (index === -1) {
+      formTrack.failed.push(failure);
+    } else {
+      formTrack.failed[index] = failure;
+    }
+
+    await this.save();
+  }
+
+  async removeFailure(formId, responseId) {
+    const formTrack = this.track[formId];
+    if (!formTrack?.failed.some((f) => f.responseId === responseId)) {
+      return false;
+    }
+
+    formTrack.failed = formTrack.failed.filter(
+      (f) => f.responseId !== responseId
+    );
+    await this.save();
+    return true;
+  }
+
+  async close() {}
+}
+
+module.exports = { JsonResponseStore };
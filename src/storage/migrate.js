@@ -0,0 +1,47 @@
+// One-shot migration of a JSON response track into the SQLite response store.
+// Usage: node src/storage/migrate.js [responses.json] [responses.db]
+require("dotenv").config();
+const path = require("path");
+const fs = require("fs");
+const { JsonResponseStore } = require("./jsonStore");
+const { SqliteResponseStore } = require("./sqliteStore");
+
+const logger = {
+  debug: () => {},
+  info: (message) => console.warn(message),
+  warn: (message) => console.warn(message),
+  error: (message) => console.error(message),
+};
+
+async function migrate(jsonPath, sqlitePath) {
+  if (!fs.existsSync(jsonPath)) {
+    throw new Error(`Response track ${jsonPath} does not exist`);
+  }
+
+  const source = new JsonResponseStore({ filePath: jsonPath, logger });
+  await source.init();
+
+  const target = new SqliteResponseStore({ filePath: sqlitePath, logger });
+  await target.init();
+
+  try {
+    const count = await target.importFrom(source);
+    logger.info(
+      `Migrated ${count} responses from ${jsonPath} to ${sqlitePath}`
+    );
+  } finally {
+    await target.close();
+  }
+}
+
+const [jsonArg, sqliteArg] = process.argv.slice(2);
+
+migrate(
+  path.resolve(
+    jsonArg || process.env.RESPONSE_TRACK_FILENAME || "responses.json"
+  ),
+  path.resolve(sqliteArg || process.env.RESPONSE_DB_FILENAME || "responses.db")
+).catch((error) => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,242 @@
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS forms (
+    form_id TEXT PRIMARY KEY,
+    last_submitted_time TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS responses (
+    form_id TEXT NOT NULL,
+    response_id TEXT NOT NULL,
+    last_submitted_time TEXT,
+    thread_id TEXT,
+    response TEXT NOT NULL,
+    meta TEXT,
+    PRIMARY KEY (form_id, response_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS responses_thread_id ON responses (thread_id);
+
+  CREATE TABLE IF NOT EXISTS failures (
+    form_id TEXT NOT NULL,
+    response_id TEXT NOT NULL,
+    failure TEXT NOT NULL,
+    PRIMARY KEY (form_id, response_id)
+  );
+`;
+
+// Record fields without a column of their own (message IDs and the like)
+// are kept together as JSON in the meta column
+function toRecord(row) {
+  return {
+    ...(row.meta ? JSON.parse(row.meta) : {}),
+    responseId: row.response_id,
+    lastSubmittedTime: row.last_submitted_time,
+    threadId: row.thread_id,
+    response: JSON.parse(row.response),
+  };
+}
+
+function toRow(formId, record) {
+  const { responseId, lastSubmittedTime, threadId, response, ...meta } =
+    record;
+  return {
+    formId,
+    responseId,
+    lastSubmittedTime,
+    threadId,
+    response: JSON.stringify(response),
+    meta: JSON.stringify(meta),
+  };
+}
+
+// Response store backed by an embedded SQLite database, one row per response
+class SqliteResponseStore {
+  constructor({ filePath, logger }) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.db = null;
+    this.statements = null;
+  }
+
+  async init() {
+    this.db = new Database(this.filePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    // Databases created before the meta column was added
+    const columns = this.db.pragma("table_info(responses)");
+    if (!columns.some((column) => column.name === "meta")) {
+      this.db.exec("ALTER TABLE responses ADD COLUMN meta TEXT");
+    }
+
+    this.statements = {
+      getWatermark: this.db.prepare(
+        "SELECT last_submitted_time FROM forms WHERE form_id = ?"
+      ),
+      setWatermark: this.db.prepare(
+        `INSERT INTO forms (form_id, last_submitted_time) VALUES (?, ?)
+         ON CONFLICT (form_id) DO UPDATE SET last_submitted_time = excluded.last_submitted_time`
+      ),
+      getTrackedIds: this.db.prepare(
+        "SELECT response_id FROM responses WHERE form_id = ?"
+      ),
+      getResponse: this.db.prepare(
+        "SELECT * FROM responses WHERE form_id = ? AND response_id = ?"
+      ),
+      listResponses: this.db.prepare(
+        "SELECT * FROM responses WHERE form_id = ? ORDER BY last_submitted_time"
+      ),
+      findResponseByThread: this.db.prepare(
+        "SELECT * FROM responses WHERE thread_id = ?"
+      ),
+      countResponses: this.db.prepare(
+        "SELECT COUNT(*) AS count FROM responses WHERE form_id = ?"
+      ),
+      listFormIds: this.db.prepare(
+        `SELECT form_id FROM forms
+         UNION SELECT form_id FROM responses
+         UNION SELECT form_id FROM failures`
+      ),
+      saveResponse: this.db.prepare(
+        `INSERT INTO responses (form_id, response_id, last_submitted_time, thread_id, response, meta)
+         VALUES (@formId, @responseId, @lastSubmittedTime, @threadId, @response, @meta)
+         ON CONFLICT (form_id, response_id) DO UPDATE SET
+           last_submitted_time = excluded.last_submitted_time,
+           thread_id = excluded.thread_id,
+           response = excluded.response,
+           meta = excluded.meta`
+      ),
+      getFailure: this.db.prepare(
+        "SELECT * FROM failures WHERE form_id = ? AND response_id = ?"
+      ),
+      listFailures: this.db.prepare("SELECT * FROM failures"),
+      listFormFailures: this.db.prepare(
+        "SELECT * FROM failures WHERE form_id = ?"
+      ),
+      saveFailure: this.db.prepare(
+        `INSERT INTO failures (form_id, response_id, failure) VALUES (?, ?, ?)
+         ON CONFLICT (form_id, response_id) DO UPDATE SET failure = excluded.failure`
+      ),
+      removeFailure: this.db.prepare(
+        "DELETE FROM failures WHERE form_id = ? AND response_id = ?"
+      ),
+    };
+
+    this.logger.info(`Opened response database ${this.filePath}`);
+  }
+
+  async getWatermark(formId) {
+    const row = this.statements.getWatermark.get(formId);
+    return row?.last_submitted_time || null;
+  }
+
+  async setWatermark(formId, lastSubmittedTime) {
+    this.statements.setWatermark.run(formId, lastSubmittedTime);
+  }
+
+  async getTrackedIds(formId) {
+    const rows = this.statements.getTrackedIds.all(formId);
+    return new Set(rows.map((row) => row.response_id));
+  }
+
+  async getResponse(formId, responseId) {
+    const row = this.statements.getResponse.get(formId, responseId);
+    return row ? toRecord(row) : null;
+  }
+
+  async listResponses(formId) {
+    return this.statements.listResponses.all(formId).map(toRecord);
+  }
+
+  async findResponseByThread(threadId) {
+    const row = this.statements.findResponseByThread.get(threadId);
+    return row ? { formId: row.form_id, record: toRecord(row) } : null;
+  }
+
+  async countResponses(formId) {
+    return this.statements.countResponses.get(formId).count;
+  }
+
+  async listFormIds() {
+    return this.statements.listFormIds.all().map((row) => row.form_id);
+  }
+
+  async saveResponse(formId, record) {
+    this.statements.saveResponse.run(toRow(formId, record));
+  }
+
+  async getFailure(formId, responseId) {
+    const row = this.statements.getFailure.get(formId, responseId);
+    return row ? JSON.parse(row.failure) : null;
+  }
+
+  async listFailures(formId) {
+    const rows = formId
+      ? this.statements.listFormFailures.all(formId)
+      : this.statements.listFailures.all();
+    return rows.map((row) => ({
+      ...JSON.parse(row.failure),
+      formId: row.form_id,
+    }));
+  }
+
+  async saveFailure(formId, failure) {
+    this.statements.saveFailure.run(
+      formId,
+      failure.responseId,
+      JSON.stringify(failure)
+    );
+  }
+
+  async removeFailure(formId, responseId) {
+    return this.statements.removeFailure.run(formId, responseId).changes > 0;
+  }
+
+  /**
+   * Copy every form watermark, response record and failure from another store
+   * @param {Object} source - Store to import from
+   * @returns {number} - Number of imported responses
+   */
+  async importFrom(source) {
+    const forms = [];
+    for (const formId of await source.listFormIds()) {
+      forms.push({
+        formId,
+        lastSubmittedTime: await source.getWatermark(formId),
+        responses: await source.listResponses(formId),
+        failures: await source.listFailures(formId),
+      });
+    }
+
+    let count = 0;
+    const importAll = this.db.transaction(() => {
+      for (const { formId, lastSubmittedTime, responses, failures } of forms) {
+        if (lastSubmittedTime) {
+          this.statements.setWatermark.run(formId, lastSubmittedTime);
+        }
+        for (const record of responses) {
+          this.statements.saveResponse.run(toRow(formId, record));
+          count++;
+        }
+        for (const failure of failures) {
+          this.statements.saveFailure.run(
+            formId,
+            failure.responseId,
+            JSON.stringify(failure)
+          );
+        }
+      }
+    });
+    importAll();
+
+    return count;
+  }
+
+  async close() {
+    this.db?.close();
+  }
+}
+
+module.exports = { SqliteResponseStore };
@@ -0,0 +1,164 @@
+const Handlebars = require("handlebars");
+const { decodeAddress, encodeAddress } = require("@polkadot/util-crypto");
+
+// Layout of threads for forms without a template of their own
+const DEFAULT_TEMPLATE = {
+  title:
+    "{{submitted}} - {{projectName}}{{#if totalCost}} - {{totalCost}}{{/if}}",
+  starter: "",
+  section: "### {{title}}\n{{addresses value}}",
+  followUp: "{{content}}",
+  hide: [],
+  order: [],
+};
+
+function isValidSubstrateAddress(address) {
+  try {
+    encodeAddress(decodeAddress(address));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatStringWithSubstrateAddresses(str) {
+  // This regex looks for strings that could be Substrate addresses
+  const potentialAddressRegex = /\b[1-9A-HJ-NP-Za-km-z]{47,48}\b/g;
+
+  return str.replace(potentialAddressRegex, (match) => {
+    if (isValidSubstrateAddress(match)) {
+      return `[${match}](https://polkadot.subscan.io/account/${match})`;
+    }
+    return match;
+  });
+}
+
+/**
+ * Turn an answer into text: file uploads become links to the files
+ * @param {string|Object} value - Answer from a formatted response
+ * @returns {string}
+ */
+function answerToText(value) {
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([fileName, url]) => `[${fileName}](${url})`)
+      .join(", ");
+  }
+  return value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Whether a question reference from a template matches a question
+ * @param {string} reference - Question ID or title (case-insensitive)
+ * @param {{questionId: string|null, title: string}} question
+ * @returns {boolean}
+ */
+function matchesQuestion(reference, question) {
+  return (
+    reference === question.questionId ||
+    reference.toLowerCase() === question.title.toLowerCase()
+  );
+}
+
+const handlebars = Handlebars.create();
+
+// Every helper receives Handlebars' options object as its last argument
+handlebars.registerHelper("answer", (reference, options) => {
+  const question = options.data.root.questions.find((q) =>
+    matchesQuestion(String(reference), q)
+  );
+  return question ? answerToText(question.value) : "";
+});
+
+handlebars.registerHelper("truncate", (value, length) => {
+  const str = answerToText(value);
+  // Without a length, the second argument is Handlebars' options object
+  const max = Number(length);
+  if (Number.isNaN(max)) {
+    return str;
+  }
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+});
+
+handlebars.registerHelper("link", (url, ...args) => {
+  if (!url) {
+    return "";
+  }
+  const label = args.length > 1 ? args[0] : null;
+  return label ? `[${label}](${url})` : `<${url}>`;
+});
+
+handlebars.registerHelper("addresses", (value) =>
+  formatStringWithSubstrateAddresses(answerToText(value))
+);
+
+const compiled = new Map();
+
+function compile(source) {
+  if (!compiled.has(source)) {
+    // Discord messages are Markdown, so nothing is HTML-escaped
+    compiled.set(source, handlebars.compile(source, { noEscape: true }));
+  }
+  return compiled.get(source);
+}
+
+/**
+ * Check the syntax of a template
+ * @param {string} source - Template source
+ * @returns {string|null} - The syntax error, or null if there is none
+ */
+function checkTemplate(source) {
+  try {
+    handlebars.parse(source);
+    return null;
+  } catch (error) {
+    // Parse errors quote the template between the position and the problem
+    const lines = error.message.split("\n");
+    return lines.length > 1 ? `${lines[0]} ${lines.at(-1)}` : lines[0];
+  }
+}
+
+/**
+ * Render a template. Helpers like answer look questions up in the root
+ * context, which defaults to the context itself.
+ * @param {string} source - Template source
+ * @param {Object} context - Values available to the template
+ * @param {Object} root - Context of the whole response
+ * @returns {string} - The rendered text, trimmed
+ */
+function renderTemplate(source, context, root = context) {
+  return compile(source)(context, { data: { root } }).trim();
+}
+
+/**
+ * Pick the questions shown as sections, leaving out hidden ones and moving
+ * the ones listed in order to the front in that order
+ * @param {Object[]} questions - Questions with questionId, title and value
+ * @param {{hide: string[], order: string[]}} template - Form template
+ * @returns {Object[]} - The questions to show, in display order
+ */
+function selectSections(questions, template) {
+  const position = (question) => {
+    const index = template.order.findIndex((reference) =>
+      matchesQuestion(reference, question)
+    );
+    return index === -1 ? template.order.length : index;
+  };
+
+  return questions
+    .filter(
+      (question) =>
+        !template.hide.some((reference) => matchesQuestion(reference, question))
+    )
+    .sort((a, b) => position(a) - position(b));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  checkTemplate,
+  renderTemplate,
+  selectSections,
+  matchesQuestion,
+  answerToText,
+  formatStringWithSubstrateAddresses,
+};
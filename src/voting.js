@@ -0,0 +1,121 @@
+const { EmbedBuilder } = require("discord.js");
+
+const VOTE_CHOICES = {
+  aye: { label: "Aye", emoji: "👍" },
+  nay: { label: "Nay", emoji: "👎" },
+  abstain: { label: "Abstain", emoji: "🤷" },
+};
+
+// Embed colours of the tally while voting is open and once it is decided
+const TALLY_COLORS = {
+  open: 0x5865f2,
+  approved: 0x57f287,
+  rejected: 0xed4245,
+};
+
+/**
+ * Record a member's vote, replacing any earlier vote of theirs
+ * @param {Object|null} vote - Vote state of a response record
+ * @param {string} userId - Discord ID of the voter
+ * @param {string} choice - Key of VOTE_CHOICES
+ * @param {string|null} comment - Comment given with the vote
+ * @param {string} at - ISO timestamp of the vote
+ * @returns {Object} - The updated vote state
+ */
+function castVote(vote, userId, choice, comment, at) {
+  const current = vote || {
+    votes: {},
+    tallyMessageId: null,
+    outcome: null,
+    decidedAt: null,
+  };
+  return {
+    ...current,
+    votes: { ...current.votes, [userId]: { choice, comment, at } },
+  };
+}
+
+/**
+ * Count the votes of each choice
+ * @param {Object} vote - Vote state of a response record
+ * @returns {{aye: number, nay: number, abstain: number, total: number}}
+ */
+function tallyVotes(vote) {
+  const counts = { aye: 0, nay: 0, abstain: 0, total: 0 };
+  for (const { choice } of Object.values(vote.votes)) {
+    counts[choice]++;
+    counts.total++;
+  }
+  return counts;
+}
+
+/**
+ * Decide a vote once it reaches quorum. A response is approved when more
+ * than the threshold of the aye and nay votes are aye; abstentions only
+ * count towards the quorum.
+ * @param {Object} counts - Counts from tallyVotes
+ * @param {{quorum: number, threshold: number}} settings - Form's voting settings
+ * @returns {string|null} - "approved" or "rejected", or null below quorum
+ */
+function decideVote(counts, { quorum, threshold }) {
+  if (counts.total < quorum) {
+    return null;
+  }
+  const cast = counts.aye + counts.nay;
+  return cast > 0 && counts.aye / cast > threshold ? "approved" : "rejected";
+}
+
+/**
+ * Build the tally embed kept up to date in a thread
+ * @param {Object} vote - Vote state of a response record
+ * @param {Object} settings - Form's voting settings
+ * @param {Object} statusTags - Form's status tag names, naming the outcome
+ * @returns {EmbedBuilder}
+ */
+function buildTallyEmbed(vote, settings, statusTags) {
+  const counts = tallyVotes(vote);
+  const voters = Object.entries(vote.votes);
+
+  const embed = new EmbedBuilder()
+    .setTitle(
+      vote.outcome ? `Vote: ${statusTags[vote.outcome]}` : "Vote in progress"
+    )
+    .setColor(TALLY_COLORS[vote.outcome || "open"])
+    .setDescription(
+      `Quorum: ${Math.min(counts.total, settings.quorum)}/${
+        settings.quorum
+      } votes\nApproved with more than ${Math.round(
+        settings.threshold * 100
+      )}% aye of the aye and nay votes`
+    );
+
+  for (const [choice, { label, emoji }] of Object.entries(VOTE_CHOICES)) {
+    const lines = voters
+      .filter(([, v]) => v.choice === choice)
+      .map(
+        ([userId, v]) => `<@${userId}>${v.comment ? `: ${v.comment}` : ""}`
+      );
+    let value = lines.join("\n") || "-";
+    if (value.length > 1024) {
+      value = `${value.slice(0, 1023)}…`;
+    }
+    embed.addFields({
+      name: `${emoji} ${label} (${counts[choice]})`,
+      value,
+    });
+  }
+
+  if (vote.decidedAt) {
+    embed.setTimestamp(new Date(vote.decidedAt));
+  }
+
+  return embed;
+}
+
+module.exports = {
+  VOTE_CHOICES,
+  castVote,
+  tallyVotes,
+  decideVote,
+  buildTallyEmbed,
+};
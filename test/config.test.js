@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { logger } = require("../src/logger");
+const { loadConfig, saveConfig, setForm } = require("../src/config");
+
+const GUILD_ID = "111111111111111111";
+const ENV = { DISCORD_GUILD_ID: GUILD_ID, ADMIN_ROLE: "Admin" };
+
+let tempDir;
+
+before(async () => {
+  logger.silent = true;
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "forms-bot-config-"));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe("saveConfig", () => {
+  test("keeps a JSON config file valid JSON", async () => {
+    const configPath = path.join(tempDir, "config.json");
+    await fs.writeFile(
+      configPath,
+      JSON.stringify({ forms: { abc: { forum: "123" } } })
+    );
+
+    const config = setForm(
+      loadConfig(configPath, ENV, logger),
+      GUILD_ID,
+      "def",
+      {
+        name: "New form",
+        forum: "456",
+        tag: "Audit",
+      }
+    );
+    await saveConfig(config);
+
+    const content = await fs.readFile(configPath, "utf8");
+    assert.deepEqual(JSON.parse(content), {
+      forms: {
+        abc: { forum: "123" },
+        def: { name: "New form", forum: "456", tag: "Audit" },
+      },
+    });
+    assert.deepEqual(Object.keys(loadConfig(configPath, ENV, logger).forms), [
+      "abc",
+      "def",
+    ]);
+  });
+
+  test("keeps the comments of a YAML config file", async () => {
+    const configPath = path.join(tempDir, "config.yaml");
+    await fs.writeFile(
+      configPath,
+      '# Grant forms\nforms:\n  abc:\n    forum: "123" # applications\n'
+    );
+
+    const config = setForm(
+      loadConfig(configPath, ENV, logger),
+      GUILD_ID,
+      "def",
+      {
+        forum: "456",
+      }
+    );
+    await saveConfig(config);
+
+    const content = await fs.readFile(configPath, "utf8");
+    assert.match(content, /^# Grant forms$/m);
+    assert.match(content, /# applications$/m);
+    assert.equal(loadConfig(configPath, ENV, logger).forms.def.forum, "456");
+  });
+});
@@ -0,0 +1,263 @@
+const { ChannelType, Collection, RESTJSONErrorCodes } = require("discord.js");
+
+let lastId = 100000000000000000n;
+
+// Snowflake-like IDs, unique within a test run
+function createId() {
+  lastId += 1n;
+  return String(lastId);
+}
+
+// Error discord.js throws for a message that doesn't exist (anymore)
+function unknownMessage(messageId) {
+  return Object.assign(new Error(`Unknown Message ${messageId}`), {
+    code: RESTJSONErrorCodes.UnknownMessage,
+  });
+}
+
+// Message sent through a fake thread, keeping every version of its payload
+class FakeMessage {
+  constructor(payload, id = createId()) {
+    this.id = id;
+    this.versions = [payload];
+  }
+
+  get payload() {
+    return this.versions.at(-1);
+  }
+
+  get content() {
+    return this.payload.content || "";
+  }
+
+  async edit(payload) {
+    this.versions.push(payload);
+    return this;
+  }
+}
+
+class FakeMessageManager {
+  constructor() {
+    this.cache = new Collection();
+  }
+
+  add(message) {
+    this.cache.set(message.id, message);
+    return message;
+  }
+
+  async fetch(options) {
+    if (typeof options === "string") {
+      const message = this.cache.get(options);
+      if (!message) {
+        throw unknownMessage(options);
+      }
+      return message;
+    }
+    return this.cache.clone();
+  }
+
+  async delete(messageId) {
+    if (!this.cache.delete(messageId)) {
+      throw unknownMessage(messageId);
+    }
+  }
+}
+
+// Forum thread recording the messages it receives, the starter message
+// first
+class FakeThread {
+  constructor(forum, { name, message, appliedTags = [] }) {
+    this.id = createId();
+    this.type = ChannelType.PublicThread;
+    this.name = name;
+    this.parent = forum;
+    this.guild = forum.guild;
+    this.appliedTags = appliedTags;
+    this.archived = false;
+    this.messages = new FakeMessageManager();
+    // The starter message of a forum thread shares the thread's ID
+    this.messages.add(new FakeMessage(message, this.id));
+  }
+
+  /**
+   * Messages of the thread in the order they were sent
+   * @returns {FakeMessage[]}
+   */
+  get sent() {
+    return [...this.messages.cache.values()];
+  }
+
+  async send(payload) {
+    return this.messages.add(new FakeMessage(payload));
+  }
+
+  async setName(name) {
+    this.name = name;
+  }
+
+  async setArchived(archived) {
+    this.archived = archived;
+  }
+
+  async setAppliedTags(appliedTags) {
+    this.appliedTags = appliedTags;
+  }
+}
+
+class FakeForum {
+  constructor(guild, name) {
+    this.id = createId();
+    this.type = ChannelType.GuildForum;
+    this.name = name;
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.availableTags = [];
+    this.threads = {
+      create: async (options) => {
+        const thread = new FakeThread(this, options);
+        this.client.addChannel(thread);
+        this.createdThreads.push(thread);
+        return thread;
+      },
+    };
+    this.createdThreads = [];
+  }
+
+  async setAvailableTags(tags) {
+    this.availableTags = tags.map((tag) => ({ id: createId(), ...tag }));
+  }
+}
+
+// Stand-in for the discord.js Client, with guilds and forum channels
+// created by the test
+class FakeDiscordClient {
+  constructor() {
+    this.user = { id: createId(), tag: "Bot#0001" };
+    this.channelsById = new Map();
+    this.guildsById = new Map();
+    this.channels = {
+      fetch: async (id) => this.channelsById.get(id) || null,
+      cache: this.channelsById,
+    };
+    this.guilds = {
+      fetch: async (id) => {
+        if (!this.guildsById.has(id)) {
+          throw new Error(`Unknown Guild ${id}`);
+        }
+        return this.guildsById.get(id);
+      },
+      cache: this.guildsById,
+    };
+  }
+
+  isReady() {
+    return true;
+  }
+
+  addChannel(channel) {
+    channel.client = this;
+    this.channelsById.set(channel.id, channel);
+    return channel;
+  }
+
+  /**
+   * Add a guild with roles
+   * @param {string} name - Guild name
+   * @param {string[]} roleNames - Names of the guild's roles
+   * @returns {Object} - The guild
+   */
+  addGuild(name, roleNames = []) {
+    const roles = new Collection(
+      roleNames.map((roleName) => {
+        const id = createId();
+        return [id, { id, name: roleName }];
+      })
+    );
+    const guild = {
+      id: createId(),
+      name,
+      roles: { cache: roles, fetch: async (id) => roles.get(id) || null },
+    };
+    this.guildsById.set(guild.id, guild);
+    return guild;
+  }
+
+  /**
+   * Add a forum channel to a guild
+   * @param {Object} guild - Guild from addGuild
+   * @param {string} name - Forum name
+   * @returns {FakeForum}
+   */
+  addForum(guild, name) {
+    return this.addChannel(new FakeForum(guild, name));
+  }
+}
+
+// Slash command or button interaction recording its replies, with options
+// given by name and the member's roles by name
+class FakeInteraction {
+  constructor({
+    commandName = null,
+    customId = null,
+    guild,
+    channelId = null,
+    options = {},
+    roles = [],
+  }) {
+    this.id = createId();
+    this.commandName = commandName;
+    this.customId = customId;
+    this.guild = guild;
+    this.guildId = guild.id;
+    this.channelId = channelId;
+    this.user = { id: createId(), tag: "Admin#0001" };
+    this.member = {
+      roles: {
+        cache: guild.roles.cache.filter((role) => roles.includes(role.name)),
+      },
+    };
+    this.deferred = false;
+    this.replied = false;
+    this.replies = [];
+    this.options = {
+      getString: (name) => options[name] ?? null,
+      getBoolean: (name) => options[name] ?? null,
+      getSubcommand: () => options.subcommand,
+      getFocused: () => options.focused ?? "",
+    };
+  }
+
+  async reply(payload) {
+    this.replied = true;
+    this.replies.push(payload);
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+
+  async editReply(payload) {
+    this.replies.push(payload);
+  }
+
+  async followUp(payload) {
+    this.replies.push(payload);
+  }
+
+  async respond(choices) {
+    this.replies.push(choices);
+  }
+
+  async update(payload) {
+    this.replies.push(payload);
+  }
+}
+
+module.exports = {
+  FakeDiscordClient,
+  FakeForum,
+  FakeThread,
+  FakeMessage,
+  FakeInteraction,
+};
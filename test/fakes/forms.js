@@ -0,0 +1,125 @@
+// In-memory stand-in for the Google Forms API client returned by
+// google.forms(), with the calls the bot makes: forms.get,
+// forms.responses.list and forms.responses.get
+class FakeFormsApi {
+  constructor() {
+    this.formDetails = new Map();
+    this.responses = new Map();
+    // Every call made, as [method, params]
+    this.calls = [];
+
+    this.forms = {
+      get: async (params) => this.get(params),
+      responses: {
+        list: async (params) => this.list(params),
+        get: async (params) => this.getResponse(params),
+      },
+    };
+  }
+
+  /**
+   * Add a form with text questions
+   * @param {string} formId - Google Form ID
+   * @param {string} title - Form title
+   * @param {string[]} questions - Question titles, their IDs are q1, q2, ...
+   */
+  addForm(formId, title, questions) {
+    this.formDetails.set(formId, {
+      formId,
+      info: { title },
+      items: questions.map((question, index) => ({
+        itemId: `item${index + 1}`,
+        title: question,
+        questionItem: { question: { questionId: `q${index + 1}` } },
+      })),
+    });
+    this.responses.set(formId, []);
+  }
+
+  /**
+   * Submit a response, or replace an earlier one with the same ID as an
+   * edit would
+   * @param {string} formId - Google Form ID
+   * @param {Object} response - Response with responseId, lastSubmittedTime
+   * and answers
+   */
+  submit(formId, response) {
+    const responses = this.responses
+      .get(formId)
+      .filter((r) => r.responseId !== response.responseId);
+    this.responses.set(formId, [...responses, response]);
+  }
+
+  async get({ formId }) {
+    this.calls.push(["forms.get", { formId }]);
+    if (!this.formDetails.has(formId)) {
+      throw notFound(`Form ${formId} not found`);
+    }
+    return { data: this.formDetails.get(formId) };
+  }
+
+  async list({ formId, filter, pageSize = 5000, pageToken }) {
+    this.calls.push(["responses.list", { formId, filter, pageToken }]);
+    if (!this.responses.has(formId)) {
+      throw notFound(`Form ${formId} not found`);
+    }
+
+    // The bot only filters by submission time, "timestamp > <RFC3339>"
+    const since = filter?.match(/^timestamp > (.+)$/)?.[1];
+    const responses = this.responses
+      .get(formId)
+      .filter((r) => !since || r.lastSubmittedTime > since);
+
+    const start = pageToken ? Number(pageToken) : 0;
+    const end = start + pageSize;
+    return {
+      data: {
+        ...(responses.length > 0 && {
+          responses: responses.slice(start, end),
+        }),
+        ...(end < responses.length && { nextPageToken: String(end) }),
+      },
+    };
+  }
+
+  async getResponse({ formId, responseId }) {
+    this.calls.push(["responses.get", { formId, responseId }]);
+    const response = this.responses
+      .get(formId)
+      ?.find((r) => r.responseId === responseId);
+    if (!response) {
+      throw notFound(`Response ${responseId} not found`);
+    }
+    return { data: response };
+  }
+}
+
+// Errors shaped like those of googleapis, which the bot reads the status of
+function notFound(message) {
+  const error = new Error(message);
+  error.response = { status: 404, data: { error: { message } } };
+  return error;
+}
+
+/**
+ * Build a response with text answers
+ * @param {string} responseId - Response ID
+ * @param {string} lastSubmittedTime - RFC3339 submission time
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {Object} - Response in the Forms API layout
+ */
+function textResponse(responseId, lastSubmittedTime, answers) {
+  return {
+    responseId,
+    createTime: lastSubmittedTime,
+    lastSubmittedTime,
+    answers: Object.fromEntries(
+      Object.entries(answers).map(([questionId, value]) => [
+        questionId,
+        { questionId, textAnswers: { answers: [{ value }] } },
+      ])
+    ),
+  };
+}
+
+module.exports = { FakeFormsApi, textResponse };
@@ -0,0 +1,238 @@
+const { test, describe, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ButtonStyle } = require("discord.js");
+const { logger } = require("../src/logger");
+const { normalizeConfig } = require("../src/config");
+const {
+  getProjectName,
+  getTotalCost,
+  truncateCost,
+  formatResponse,
+  formatResponseMessage,
+  buildTemplateContext,
+  buildThreadContent,
+  diffResponses,
+} = require("../src/format");
+
+const COST_KEYS = ["total cost", "budget"];
+
+function createForm(settings = {}) {
+  return normalizeConfig(
+    { forms: { form1: { forum: "1", ...settings } } },
+    "test",
+    {
+      id: "1",
+    }
+  ).forms.form1;
+}
+
+before(() => {
+  logger.silent = true;
+});
+
+describe("getProjectName", () => {
+  test("finds the answer whose question includes a key", () => {
+    const response = { "What is the name of your project?": "Kusama Tools" };
+    assert.equal(
+      getProjectName(response, ["name of your project"]),
+      "Kusama Tools"
+    );
+  });
+
+  test("matches keys case-insensitively", () => {
+    assert.equal(
+      getProjectName({ "Project Title": "Relay" }, ["project title"]),
+      "Relay"
+    );
+  });
+
+  test("falls back when no question matches", () => {
+    assert.equal(
+      getProjectName({ Email: "a@example.com" }, ["project name"]),
+      "Unknown Project"
+    );
+  });
+});
+
+describe("getTotalCost", () => {
+  test("returns the answer of the cost question", () => {
+    assert.equal(
+      getTotalCost({ "Total cost (USD)": "12,000" }, COST_KEYS),
+      "12,000"
+    );
+  });
+
+  test("skips the cost of audit forms", () => {
+    assert.equal(
+      getTotalCost({ "Preferred auditor": "Firm", Budget: "5,000" }, COST_KEYS),
+      ""
+    );
+  });
+
+  test("reports a missing cost", () => {
+    assert.equal(getTotalCost({ Team: "Alice" }, COST_KEYS), "Cost not found");
+  });
+});
+
+describe("truncateCost", () => {
+  test("keeps short values and trims them", () => {
+    assert.equal(truncateCost("  15,000 DOT  "), "15,000 DOT");
+  });
+
+  test("cuts long values at a separator", () => {
+    const cost = truncateCost(
+      "25,000 USD paid in two milestones of equal size"
+    );
+    assert.equal(cost, "25,000 USD paid in ...");
+  });
+});
+
+describe("formatResponse", () => {
+  const formDetails = {
+    items: [
+      {
+        title: "Project name",
+        questionItem: { question: { questionId: "a" } },
+      },
+      { title: "Category", questionItem: { question: { questionId: "b" } } },
+      { title: "Start date", questionItem: { question: { questionId: "c" } } },
+      { title: "Proposal", questionItem: { question: { questionId: "d" } } },
+      { title: "Unanswered", questionItem: { question: { questionId: "e" } } },
+      { title: "Section header" },
+    ],
+  };
+
+  test("turns answers into text in form order", async () => {
+    const formatted = await formatResponse(
+      {
+        responseId: "r1",
+        lastSubmittedTime: "2024-05-01T10:00:00.000Z",
+        answers: {
+          d: {
+            fileUploadAnswers: {
+              answers: [{ fileId: "f1", fileName: "Proposal - Team.pdf" }],
+            },
+          },
+          c: { dateAnswers: { answers: [{ year: 2024, month: 6, day: 1 }] } },
+          b: { choiceAnswers: { answers: [{ value: "Tooling" }] } },
+          a: { textAnswers: { answers: [{ value: "Relay" }] } },
+        },
+      },
+      formDetails
+    );
+
+    assert.deepEqual(formatted, {
+      responseId: "r1",
+      Submitted: "2024-05-01",
+      "Project name": "Relay",
+      Category: "Tooling",
+      "Start date": "2024-6-1",
+      Proposal: {
+        "Proposal_-_Team.pdf": "https://drive.google.com/open?id=f1",
+      },
+    });
+    assert.deepEqual(Object.keys(formatted).slice(2), [
+      "Project name",
+      "Category",
+      "Start date",
+      "Proposal",
+    ]);
+  });
+
+  test("needs the form's questions", async () => {
+    await assert.rejects(
+      formatResponse({ responseId: "r1", answers: {} }, null),
+      /Form details are required/
+    );
+  });
+});
+
+describe("formatResponseMessage", () => {
+  const response = {
+    responseId: "r1",
+    Submitted: "2024-05-01",
+    "Name of your project": "Relay",
+    "Project website": "relay.example.com",
+    Description: "A relay chain explorer",
+    "Winning offer": { "Offer.pdf": "https://drive.google.com/open?id=f1" },
+  };
+
+  function render(form) {
+    return formatResponseMessage(
+      response,
+      form,
+      buildTemplateContext(response, form, null)
+    );
+  }
+
+  test("renders sections and leaves out the project name", () => {
+    const { sections } = render(createForm());
+    assert.deepEqual(
+      sections.map((section) => section.content),
+      ["### Description\nA relay chain explorer"]
+    );
+  });
+
+  test("turns websites, files and the spreadsheet into link buttons", () => {
+    const { components } = render(
+      createForm({ spreadsheetUrl: "https://docs.google.com/spreadsheets/d/x" })
+    );
+    const rows = components.map((row) =>
+      row.components.map((button) => button.data)
+    );
+
+    assert.deepEqual(
+      rows[0].map((button) => [button.label, button.url]),
+      [
+        ["🌐 Website", "https://relay.example.com"],
+        ["📑 Spreadsheet", "https://docs.google.com/spreadsheets/d/x"],
+      ]
+    );
+    assert.deepEqual(
+      rows[1].map((button) => button.label),
+      ["🏆 Offer.pdf"]
+    );
+  });
+
+  test("ends with the review buttons", () => {
+    const { components } = render(createForm());
+    const reviewRow = components.at(-1).components.map((button) => button.data);
+    assert.deepEqual(
+      reviewRow.map((button) => button.custom_id),
+      ["review:approve", "review:reject", "review:needsInfo", "review:assign"]
+    );
+    assert.ok(reviewRow.every((button) => button.style !== ButtonStyle.Link));
+  });
+});
+
+describe("buildThreadContent", () => {
+  test("names the thread from the title template", () => {
+    const { threadName, messages } = buildThreadContent(
+      {
+        responseId: "r1",
+        Submitted: "2024-05-01",
+        "Name of your project": "Relay",
+        "Total cost": "10,000",
+        Description: "Explorer",
+      },
+      createForm(),
+      null
+    );
+    assert.equal(threadName, "2024-05-01 - Relay - 10,000");
+    assert.equal(messages.length, 1);
+    assert.match(messages[0].content, /### Description\nExplorer/);
+  });
+});
+
+describe("diffResponses", () => {
+  test("lists changed, added and removed answers", () => {
+    const changes = diffResponses(
+      { responseId: "r1", Submitted: "2024-05-01", A: "1", B: "2" },
+      { responseId: "r1", Submitted: "2024-05-02", A: "1", B: "3", C: "4" }
+    );
+    assert.deepEqual(
+      changes.map((change) => change.question),
+      ["B", "C"]
+    );
+  });
+});
@@ -0,0 +1,165 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { logger } = require("../src/logger");
+const { MetricsRegistry } = require("../src/monitoring/metrics");
+const { HealthServer } = require("../src/monitoring/server");
+const {
+  PermanentError,
+  RetryError,
+  getFailureReason,
+} = require("../src/retry");
+
+describe("MetricsRegistry", () => {
+  test("renders counters per label set", () => {
+    const metrics = new MetricsRegistry();
+    const polls = metrics.counter({
+      name: "polls_total",
+      help: "Form checks",
+      labelNames: ["form", "result"],
+    });
+    polls.inc({ form: "a", result: "success" });
+    polls.inc({ result: "success", form: "a" });
+    polls.inc({ form: 'say "hi"', result: "error" });
+
+    assert.equal(
+      metrics.render(),
+      [
+        "# HELP polls_total Form checks",
+        "# TYPE polls_total counter",
+        'polls_total{form="a",result="success"} 2',
+        'polls_total{form="say \\"hi\\"",result="error"} 1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("rejects labels the metric doesn't have", () => {
+    const counter = new MetricsRegistry().counter({
+      name: "posted_total",
+      help: "Posted",
+      labelNames: ["form"],
+    });
+    assert.throws(() => counter.inc({ guild: "1" }), /Unknown label "guild"/);
+  });
+
+  test("collects gauges when rendering", () => {
+    const metrics = new MetricsRegistry();
+    let depth = 3;
+    metrics.gauge({
+      name: "queue_depth",
+      help: "Queued messages",
+      collect: (gauge) => gauge.set({}, depth),
+    });
+
+    assert.match(metrics.render(), /^queue_depth 3$/m);
+    depth = 0;
+    assert.match(metrics.render(), /^queue_depth 0$/m);
+  });
+
+  test("renders cumulative histogram buckets", () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram({
+      name: "duration_seconds",
+      help: "Durations",
+      labelNames: ["method"],
+      buckets: [0.1, 1],
+    });
+    duration.observe({ method: "get" }, 0.05);
+    duration.observe({ method: "get" }, 0.5);
+    duration.observe({ method: "get" }, 2);
+
+    const lines = metrics.render().split("\n");
+    assert.deepEqual(lines.slice(2, 7), [
+      'duration_seconds_bucket{method="get",le="0.1"} 1',
+      'duration_seconds_bucket{method="get",le="1"} 2',
+      'duration_seconds_bucket{method="get",le="+Inf"} 3',
+      'duration_seconds_sum{method="get"} 2.55',
+      'duration_seconds_count{method="get"} 3',
+    ]);
+  });
+});
+
+describe("getFailureReason", () => {
+  test("names HTTP statuses and network codes", () => {
+    const forbidden = Object.assign(new Error("Forbidden"), {
+      response: { status: 403 },
+    });
+    const reset = Object.assign(new Error("socket hang up"), {
+      code: "ECONNRESET",
+    });
+
+    assert.equal(getFailureReason(forbidden), "http_403");
+    assert.equal(getFailureReason(reset), "econnreset");
+  });
+
+  test("looks through retry errors", () => {
+    const error = new RetryError("Fetching forum 1: not a forum", {
+      cause: new PermanentError("not a forum"),
+      attempts: 1,
+      retryable: false,
+    });
+    assert.equal(getFailureReason(error), "permanent");
+    assert.equal(getFailureReason(new Error("?")), "other");
+  });
+});
+
+describe("HealthServer", () => {
+  let server;
+  let baseUrl;
+  let health;
+
+  before(async () => {
+    logger.silent = true;
+    const metrics = new MetricsRegistry();
+    metrics.counter({ name: "polls_total", help: "Form checks" }).inc({}, 4);
+
+    health = { ok: true, lastSuccessfulCheck: null };
+    server = new HealthServer({
+      port: 0,
+      host: "127.0.0.1",
+      logger,
+      metrics,
+      getHealth: () => health,
+      getReadiness: () => ({ ok: false, started: false }),
+    });
+    await server.start();
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(() => server.stop());
+
+  test("reports health with the matching status code", async () => {
+    let response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      status: "ok",
+      lastSuccessfulCheck: null,
+    });
+
+    health = { ok: false };
+    response = await fetch(`${baseUrl}/healthz`);
+    assert.equal(response.status, 503);
+    assert.deepEqual(await response.json(), { status: "unavailable" });
+  });
+
+  test("reports readiness", async () => {
+    const response = await fetch(`${baseUrl}/readyz`);
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).started, false);
+  });
+
+  test("serves metrics in the Prometheus text format", async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    assert.match(await response.text(), /^polls_total 4$/m);
+  });
+
+  test("answers unknown paths and methods", async () => {
+    assert.equal((await fetch(`${baseUrl}/other`)).status, 404);
+    assert.equal(
+      (await fetch(`${baseUrl}/healthz`, { method: "POST" })).status,
+      405
+    );
+  });
+});
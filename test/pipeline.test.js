@@ -0,0 +1,608 @@
+const { test, describe, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { logger } = require("../src/logger");
+const { normalizeConfig } = require("../src/config");
+const { createResponseStore } = require("../src/storage");
+const {
+  configureBot,
+  checkNewResponses,
+  createScheduler,
+  handleCheckCommand,
+  handleFailedCommand,
+  handleFormAutocomplete,
+  handleSearchCommand,
+  handleSearchButton,
+  handleStatusCommand,
+  metrics,
+  getHealth,
+} = require("../src/bot");
+const { FakeFormsApi, textResponse } = require("./fakes/forms");
+const { FakeDiscordClient, FakeInteraction } = require("./fakes/discord");
+
+const FORM_ID = "form1";
+const QUESTIONS = ["Name of your project", "Total cost", "Description"];
+
+let tempDir;
+let forms;
+let discord;
+let guild;
+let forum;
+let store;
+
+/**
+ * Point the bot at fresh fakes and an empty response store
+ * @param {Object} formSettings - Settings of the form, besides its forum
+ */
+async function setUp(formSettings = {}) {
+  forms = new FakeFormsApi();
+  forms.addForm(FORM_ID, "Grant Applications", QUESTIONS);
+
+  discord = new FakeDiscordClient();
+  guild = discord.addGuild("Grants", ["Grants Admin", "Reviewers", "Guest"]);
+  forum = discord.addForum(guild, "applications");
+
+  const config = normalizeConfig(
+    { forms: { [FORM_ID]: { forum: forum.id, ...formSettings } } },
+    "test",
+    { id: guild.id, adminRole: "Grants Admin", logChannel: null }
+  );
+  configureBot({ discord, forms, config });
+
+  store = await createResponseStore("json", {
+    filePath: path.join(tempDir, `track-${Date.now()}.json`),
+    logger,
+  });
+}
+
+function submit(responseId, lastSubmittedTime, [name, cost, description]) {
+  forms.submit(
+    FORM_ID,
+    textResponse(responseId, lastSubmittedTime, {
+      q1: name,
+      q2: cost,
+      q3: description,
+    })
+  );
+}
+
+before(async () => {
+  logger.silent = true;
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "forms-bot-"));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe("checkNewResponses", () => {
+  beforeEach(() => setUp());
+
+  test("posts a new response as a tagged forum thread", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+
+    const summary = await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(forum.createdThreads.length, 1);
+    const [thread] = forum.createdThreads;
+    assert.deepEqual(summary, {
+      formId: FORM_ID,
+      title: "Grant Applications",
+      seen: 1,
+      posted: 1,
+      updated: 0,
+      skipped: 0,
+      failed: 0,
+      threadIds: [thread.id],
+      error: null,
+    });
+    assert.equal(thread.name, "2024-05-01 - Relay - 10,000");
+    assert.deepEqual(
+      thread.appliedTags.map(
+        (id) => forum.availableTags.find((tag) => tag.id === id).name
+      ),
+      ["Pending"]
+    );
+
+    const [starter, mention] = thread.sent;
+    assert.match(starter.content, /### Description\nExplorer/);
+    assert.ok(starter.payload.components.length > 0);
+    assert.match(mention.content, /A form submission has been received/);
+
+    const record = await store.getResponse(FORM_ID, "r1");
+    assert.equal(record.threadId, thread.id);
+    assert.deepEqual(record.messageIds, [thread.id]);
+    assert.equal(await store.getWatermark(FORM_ID), "2024-05-01T10:00:00.000Z");
+  });
+
+  test("posts nothing when checked again", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    const summary = await checkNewResponses(null, FORM_ID, store);
+    assert.equal(summary.seen, 0);
+    assert.equal(summary.posted, 0);
+    assert.equal(forum.createdThreads.length, 1);
+    assert.deepEqual(forms.calls.at(-1), [
+      "responses.list",
+      {
+        formId: FORM_ID,
+        filter: "timestamp > 2024-05-01T10:00:00.000Z",
+        pageToken: undefined,
+      },
+    ]);
+  });
+
+  test("edits the thread of an edited response and posts the changes", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    submit("r1", "2024-05-02T10:00:00.000Z", ["Relay", "12,000", "Explorer"]);
+    const summary = await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(forum.createdThreads.length, 1);
+    const [thread] = forum.createdThreads;
+    assert.equal(summary.posted, 0);
+    assert.equal(summary.updated, 1);
+    assert.deepEqual(summary.threadIds, [thread.id]);
+    const [starter] = thread.sent;
+    assert.equal(starter.versions.length, 2);
+    assert.equal(thread.name, "2024-05-02 - Relay - 12,000");
+    assert.match(thread.sent.at(-1).content, /Total cost/);
+    assert.match(thread.sent.at(-1).content, /12,000/);
+
+    const record = await store.getResponse(FORM_ID, "r1");
+    assert.equal(record.lastSubmittedTime, "2024-05-02T10:00:00.000Z");
+    assert.equal(record.response["Total cost"], "12,000");
+  });
+
+  test("skips deleted messages of an edited response", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", [
+      "Relay",
+      "10,000",
+      "Explorer ".repeat(400),
+    ]);
+    await checkNewResponses(null, FORM_ID, store);
+    const [thread] = forum.createdThreads;
+    const [, followUpId] = (await store.getResponse(FORM_ID, "r1")).messageIds;
+    await thread.messages.delete(followUpId);
+
+    submit("r1", "2024-05-02T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    const summary = await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(summary.updated, 1);
+    const record = await store.getResponse(FORM_ID, "r1");
+    assert.deepEqual(record.messageIds, [thread.id]);
+    assert.deepEqual(await store.listFailures(FORM_ID), []);
+  });
+
+  test("sends deleted messages of an edited response again", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+    const [thread] = forum.createdThreads;
+    await thread.messages.delete(thread.id);
+
+    submit("r1", "2024-05-02T10:00:00.000Z", ["Relay", "12,000", "Explorer"]);
+    const summary = await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(summary.updated, 1);
+    const [messageId] = (await store.getResponse(FORM_ID, "r1")).messageIds;
+    assert.notEqual(messageId, thread.id);
+    assert.match(thread.messages.cache.get(messageId).content, /12,000/);
+    assert.deepEqual(await store.listFailures(FORM_ID), []);
+  });
+
+  test("posts responses oldest first", async () => {
+    submit("r2", "2024-05-03T10:00:00.000Z", ["Beta", "2,000", "Second"]);
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Alpha", "1,000", "First"]);
+
+    await checkNewResponses(null, FORM_ID, store);
+
+    assert.deepEqual(
+      forum.createdThreads.map((thread) => thread.name),
+      ["2024-05-01 - Alpha - 1,000", "2024-05-03 - Beta - 2,000"]
+    );
+  });
+});
+
+describe("check metrics", () => {
+  beforeEach(() => setUp());
+
+  test("count checks, posted responses and failures", async () => {
+    const polls = metrics.metrics.get("forms_bot_polls_total");
+    const posted = metrics.metrics.get("forms_bot_responses_posted_total");
+    const failures = metrics.metrics.get("forms_bot_delivery_failures_total");
+    const before = {
+      polls: polls.get({ form: FORM_ID, result: "success" }),
+      posted: posted.get({ form: FORM_ID, kind: "new" }),
+      edits: posted.get({ form: FORM_ID, kind: "edit" }),
+      failures: failures.get({ form: FORM_ID, reason: "permanent" }),
+    };
+
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+    submit("r1", "2024-05-02T10:00:00.000Z", ["Relay", "12,000", "Explorer"]);
+    discord.channelsById.delete(forum.id);
+    submit("r2", "2024-05-03T10:00:00.000Z", ["Beta", "1,000", "Second"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(
+      polls.get({ form: FORM_ID, result: "success" }),
+      before.polls + 2
+    );
+    assert.equal(posted.get({ form: FORM_ID, kind: "new" }), before.posted + 1);
+    assert.equal(posted.get({ form: FORM_ID, kind: "edit" }), before.edits + 1);
+    assert.equal(
+      failures.get({ form: FORM_ID, reason: "permanent" }),
+      before.failures + 1
+    );
+    assert.ok(getHealth().lastSuccessfulCheck);
+    assert.match(
+      metrics.render(),
+      /^forms_bot_google_api_duration_seconds_count\{method="forms.get"\} \d+$/m
+    );
+  });
+});
+
+describe("checkNewResponses backfills and dry runs", () => {
+  beforeEach(async () => {
+    await setUp();
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Alpha", "1,000", "First"]);
+    submit("r2", "2024-05-03T10:00:00.000Z", ["Beta", "2,000", "Second"]);
+    await checkNewResponses(null, FORM_ID, store);
+  });
+
+  test("reposts the responses submitted after a date", async () => {
+    const summary = await checkNewResponses(null, FORM_ID, store, {
+      since: "2024-05-02T00:00:00.000Z",
+    });
+
+    assert.equal(summary.seen, 1);
+    assert.equal(summary.posted, 1);
+    const reposted = forum.createdThreads[2];
+    assert.equal(reposted.name, "2024-05-03 - Beta - 2,000");
+    assert.equal(
+      (await store.getResponse(FORM_ID, "r2")).threadId,
+      reposted.id
+    );
+    // The watermark doesn't move back
+    assert.equal(await store.getWatermark(FORM_ID), "2024-05-03T10:00:00.000Z");
+  });
+
+  test("posts untracked responses between the watermark and the date", async () => {
+    submit("r3", "2024-05-04T10:00:00.000Z", ["Gamma", "3,000", "Third"]);
+    submit("r4", "2024-05-06T10:00:00.000Z", ["Delta", "4,000", "Fourth"]);
+
+    const summary = await checkNewResponses(null, FORM_ID, store, {
+      since: "2024-05-05T00:00:00.000Z",
+    });
+
+    assert.equal(summary.posted, 2);
+    assert.deepEqual(
+      forum.createdThreads.slice(2).map((thread) => thread.name),
+      ["2024-05-04 - Gamma - 3,000", "2024-05-06 - Delta - 4,000"]
+    );
+    assert.equal(await store.getWatermark(FORM_ID), "2024-05-06T10:00:00.000Z");
+  });
+
+  test("only counts responses on a dry run", async () => {
+    submit("r1", "2024-05-04T10:00:00.000Z", ["Alpha", "1,500", "First"]);
+    submit("r3", "2024-05-05T10:00:00.000Z", ["Gamma", "3,000", "Third"]);
+
+    const summary = await checkNewResponses(null, FORM_ID, store, {
+      since: "2024-05-02T00:00:00.000Z",
+      dryRun: true,
+    });
+    assert.deepEqual(
+      [summary.seen, summary.posted, summary.updated, summary.skipped],
+      [3, 3, 0, 0]
+    );
+
+    const regular = await checkNewResponses(null, FORM_ID, store, {
+      dryRun: true,
+    });
+    assert.deepEqual(
+      [regular.seen, regular.posted, regular.updated, regular.skipped],
+      [2, 1, 1, 0]
+    );
+
+    assert.equal(forum.createdThreads.length, 2);
+    assert.equal(await store.getResponse(FORM_ID, "r3"), null);
+    assert.equal(await store.getWatermark(FORM_ID), "2024-05-03T10:00:00.000Z");
+  });
+});
+
+describe("handleCheckCommand", () => {
+  beforeEach(() => setUp({ name: "Grants" }));
+
+  function runCheck(options) {
+    const interaction = new FakeInteraction({
+      commandName: "check",
+      guild,
+      options,
+    });
+    return handleCheckCommand(
+      interaction,
+      null,
+      store,
+      createScheduler(null, store)
+    ).then(() => interaction.replies);
+  }
+
+  test("summarises each form with links to new threads", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+
+    const [reply] = await runCheck({ form: FORM_ID });
+
+    const [thread] = forum.createdThreads;
+    assert.equal(
+      reply.content,
+      "**Grant Applications**: 1 seen, 1 posted, 0 skipped, 0 failed\n" +
+        `<#${thread.id}>`
+    );
+  });
+
+  test("marks dry runs", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+
+    const [reply] = await runCheck({ dry_run: true });
+
+    assert.equal(
+      reply.content,
+      "**Dry run**: nothing was posted or saved.\n" +
+        "**Grant Applications**: 1 seen, 1 to post, 0 skipped"
+    );
+    assert.equal(forum.createdThreads.length, 0);
+  });
+
+  test("rejects dates it can't read and unmapped forms", async () => {
+    assert.match(
+      (await runCheck({ since: "last week" }))[0].content,
+      /not a date/
+    );
+    assert.match((await runCheck({ form: "other" }))[0].content, /not mapped/);
+  });
+
+  test("suggests the guild's forms by title", async () => {
+    await checkNewResponses(null, FORM_ID, store);
+    const interaction = new FakeInteraction({
+      commandName: "check",
+      guild,
+      options: { focused: "grant" },
+    });
+
+    await handleFormAutocomplete(interaction);
+
+    assert.deepEqual(interaction.replies[0], [
+      { name: `Grant Applications (${FORM_ID})`, value: FORM_ID },
+    ]);
+  });
+});
+
+describe("handleSearchCommand", () => {
+  beforeEach(() => setUp({ reviewerRoles: ["Reviewers"] }));
+
+  async function runSearch(options, roles = ["Reviewers"]) {
+    const interaction = new FakeInteraction({
+      commandName: "search",
+      guild,
+      options,
+      roles,
+    });
+    await handleSearchCommand(interaction, store);
+    return interaction;
+  }
+
+  test("links the threads of matching responses", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    submit("r2", "2024-05-02T10:00:00.000Z", ["Beta", "1,000", "A relay node"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    const { replies } = await runSearch({ query: "relay" });
+
+    const [{ embeds, components }] = replies;
+    const { fields } = embeds[0].data;
+    const [first, second] = forum.createdThreads;
+    assert.deepEqual(
+      fields.map((field) => field.name),
+      ["Relay - 10,000", "Beta - 1,000"]
+    );
+    assert.match(fields[0].value, new RegExp(`${guild.id}/${first.id}\\)`));
+    assert.match(fields[1].value, new RegExp(`${guild.id}/${second.id}\\)`));
+    assert.deepEqual(components, []);
+  });
+
+  test("filters by submission date", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    submit("r2", "2024-05-02T10:00:00.000Z", ["Beta", "1,000", "A relay node"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    const { replies } = await runSearch({ query: "relay", from: "2024-05-02" });
+
+    assert.deepEqual(
+      replies[0].embeds[0].data.fields.map((field) => field.name),
+      ["Beta - 1,000"]
+    );
+    assert.match(
+      (await runSearch({ query: "relay", to: "soon" })).replies[0].content,
+      /not a date/
+    );
+  });
+
+  test("pages through many results", async () => {
+    for (let index = 1; index <= 7; index++) {
+      submit(`r${index}`, `2024-05-0${index}T10:00:00.000Z`, [
+        `Relay ${index}`,
+        "1,000",
+        "Explorer",
+      ]);
+    }
+    await checkNewResponses(null, FORM_ID, store);
+
+    const search = await runSearch({ query: "relay" });
+    const [{ components }] = search.replies;
+    const next = components[0].components[1].data;
+    assert.equal(search.replies[0].embeds[0].data.footer.text, "Page 1/2");
+
+    const button = new FakeInteraction({ customId: next.custom_id, guild });
+    await handleSearchButton(button);
+
+    const [{ embeds }] = button.replies;
+    assert.equal(embeds[0].data.footer.text, "Page 2/2");
+    assert.equal(embeds[0].data.fields.length, 2);
+  });
+
+  test("needs the admin role or a reviewer role of the form", async () => {
+    const { replies } = await runSearch({ query: "relay" }, ["Guest"]);
+    assert.match(replies[0].content, /need the admin role/);
+
+    const admin = await runSearch({ query: "relay" }, ["Grants Admin"]);
+    assert.match(admin.replies[0].embeds[0].data.description, /No tracked/);
+  });
+
+  test("says so when the results have expired", async () => {
+    const button = new FakeInteraction({ customId: "search:1:1", guild });
+    await handleSearchButton(button);
+    assert.match(button.replies[0].content, /expired/);
+  });
+});
+
+describe("handleStatusCommand", () => {
+  beforeEach(() => setUp({ tag: "Grants" }));
+
+  test("reports the checks and queue of the guild's forms", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+    discord.channelsById.delete(forum.id);
+    submit("r2", "2024-05-02T10:00:00.000Z", ["Beta", "1,000", "Second"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    const interaction = new FakeInteraction({ commandName: "status", guild });
+    await handleStatusCommand(
+      interaction,
+      null,
+      store,
+      createScheduler(null, store)
+    );
+
+    const [{ embeds }] = interaction.replies;
+    const [field] = embeds[0].data.fields;
+    assert.equal(field.name, "✅ Grant Applications");
+    assert.match(field.value, new RegExp(`<#${forum.id}> \\[Grants\\]`));
+    assert.match(field.value, /Tracked responses:\*\* 1$/m);
+    assert.match(field.value, /Failed deliveries:\*\* 1 \(0 to retry\)/);
+    assert.match(field.value, /Next check:\*\* not scheduled/);
+  });
+
+  test("says so when the guild has no forms", async () => {
+    const other = discord.addGuild("Other");
+    const interaction = new FakeInteraction({
+      commandName: "status",
+      guild: other,
+    });
+    await handleStatusCommand(
+      interaction,
+      null,
+      store,
+      createScheduler(null, store)
+    );
+    assert.match(interaction.replies[0].content, /No forms are mapped/);
+  });
+});
+
+describe("checkNewResponses with a failing thread", () => {
+  beforeEach(() => setUp());
+
+  // Let new threads fail the first message sent to them after the starter
+  function failFirstSend() {
+    const create = forum.threads.create;
+    forum.threads.create = async (options) => {
+      const thread = await create(options);
+      const send = thread.send.bind(thread);
+      thread.send = async () => {
+        thread.send = send;
+        throw new Error("Missing Access");
+      };
+      return thread;
+    };
+  }
+
+  test("finishes a partial delivery in the thread it created", async () => {
+    failFirstSend();
+    submit("r1", "2024-05-01T10:00:00.000Z", [
+      "Relay",
+      "10,000",
+      "Explorer ".repeat(400),
+    ]);
+
+    await checkNewResponses(null, FORM_ID, store);
+
+    const [thread] = forum.createdThreads;
+    const partial = await store.getResponse(FORM_ID, "r1");
+    assert.equal(partial.threadId, thread.id);
+    assert.deepEqual(partial.messageIds, [thread.id]);
+
+    // Retried on the next check, as after a network error
+    const failure = await store.getFailure(FORM_ID, "r1");
+    await store.saveFailure(FORM_ID, { ...failure, retryable: true });
+    await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(forum.createdThreads.length, 1);
+    const record = await store.getResponse(FORM_ID, "r1");
+    assert.equal(record.delivery, undefined);
+    assert.deepEqual(
+      record.messageIds,
+      thread.sent.slice(0, -1).map((message) => message.id)
+    );
+    assert.ok(record.messageIds.length > 1);
+    assert.match(thread.sent.at(-1).content, /submission has been received/);
+    assert.deepEqual(await store.listFailures(FORM_ID), []);
+  });
+});
+
+describe("checkNewResponses without a forum", () => {
+  beforeEach(async () => {
+    await setUp();
+    discord.channelsById.delete(forum.id);
+  });
+
+  test("keeps undeliverable responses in the failed queue", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+
+    await checkNewResponses(null, FORM_ID, store);
+
+    assert.equal(await store.getResponse(FORM_ID, "r1"), null);
+    const [failure] = await store.listFailures(FORM_ID);
+    assert.equal(failure.responseId, "r1");
+    assert.equal(failure.retryable, false);
+    assert.match(failure.reason, /is not a forum/);
+    // The watermark moves past the failed response
+    assert.equal(await store.getWatermark(FORM_ID), "2024-05-01T10:00:00.000Z");
+  });
+
+  test("counts responses that fail again as still failing", async () => {
+    submit("r1", "2024-05-01T10:00:00.000Z", ["Relay", "10,000", "Explorer"]);
+    await checkNewResponses(null, FORM_ID, store);
+
+    const interaction = new FakeInteraction({
+      commandName: "failed",
+      guild,
+      options: { subcommand: "retry", response: "all" },
+    });
+    await handleFailedCommand(
+      interaction,
+      null,
+      store,
+      createScheduler(null, store)
+    );
+
+    assert.equal(
+      interaction.replies[0].content,
+      "Retried 1 responses: 0 posted, 1 still failing."
+    );
+    const [failure] = await store.listFailures(FORM_ID);
+    assert.equal(failure.attempts, 2);
+  });
+});
@@ -0,0 +1,149 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseQuery,
+  searchResponses,
+  buildSearchPage,
+  parseSearchAction,
+} = require("../src/search");
+
+const FORM = {
+  projectNameKeys: ["Name of your project"],
+  costKeys: ["Total cost"],
+};
+
+function createEntry(responseId, submitted, answers) {
+  return {
+    formId: "form1",
+    form: FORM,
+    record: {
+      responseId,
+      threadId: `thread-${responseId}`,
+      response: { responseId, Submitted: submitted, ...answers },
+    },
+  };
+}
+
+const ENTRIES = [
+  createEntry("r1", "2024-05-01", {
+    "Name of your project": "Block Explorer",
+    "Total cost": "10,000 USD",
+    Description: "An explorer for the relay chain",
+  }),
+  createEntry("r2", "2024-05-02", {
+    "Name of your project": "Relay Monitor",
+    "Total cost": "5,000 USD",
+    Description: "Alerts when a réseau node falls behind",
+  }),
+  createEntry("r3", "2024-05-03", {
+    Description: "Staking pallet audit",
+  }),
+];
+
+describe("parseQuery", () => {
+  test("keeps quoted phrases and drops repeated terms", () => {
+    assert.deepEqual(parseQuery('"Staking  Pallet" audit AUDIT'), [
+      "staking  pallet",
+      "audit",
+    ]);
+    assert.deepEqual(parseQuery('  "" '), []);
+  });
+});
+
+describe("searchResponses", () => {
+  test("ranks project name matches above other answers", () => {
+    const matches = searchResponses(ENTRIES, "relay");
+
+    assert.deepEqual(
+      matches.map((match) => match.responseId),
+      ["r2", "r1"]
+    );
+    assert.equal(
+      matches[1].excerpt,
+      "Description: An explorer for the relay chain"
+    );
+  });
+
+  test("needs every term, ignoring case and accents", () => {
+    assert.deepEqual(
+      searchResponses(ENTRIES, "Reseau NODE").map((match) => match.responseId),
+      ["r2"]
+    );
+    assert.deepEqual(searchResponses(ENTRIES, "relay audit"), []);
+  });
+
+  test("searches costs but not placeholders", () => {
+    assert.deepEqual(
+      searchResponses(ENTRIES, "usd").map((match) => match.responseId),
+      ["r2", "r1"]
+    );
+    assert.deepEqual(searchResponses(ENTRIES, "unknown"), []);
+  });
+
+  test("filters by submission date", () => {
+    const search = (options) =>
+      searchResponses(ENTRIES, "relay", options).map(
+        (match) => match.responseId
+      );
+    assert.deepEqual(search({ from: "2024-05-02" }), ["r2"]);
+    assert.deepEqual(search({ to: "2024-05-01" }), ["r1"]);
+  });
+});
+
+describe("buildSearchPage", () => {
+  const context = {
+    searchId: "42",
+    query: "audit",
+    guildId: "7",
+    getFormTitle: () => "Grants",
+  };
+  const matches = Array.from({ length: 12 }, (_, index) => ({
+    formId: "form1",
+    responseId: `r${index}`,
+    threadId: index === 0 ? null : `t${index}`,
+    projectName: `Project ${index}`,
+    cost: index === 0 ? "Cost not found" : "1,000 USD",
+    submitted: "2024-05-01",
+    excerpt: "Description: audit",
+    score: 1,
+  }));
+
+  test("shows one page of results with jump links", () => {
+    const { embeds, components } = buildSearchPage(matches, 0, context);
+    const { title, description, fields, footer } = embeds[0].data;
+
+    assert.equal(title, "Search: audit");
+    assert.equal(description, "12 responses match.");
+    assert.equal(footer.text, "Page 1/3");
+    assert.equal(fields.length, 5);
+    assert.equal(fields[0].name, "Project 0");
+    assert.match(fields[0].value, /No thread \(response `r0`\)/);
+    assert.equal(
+      fields[1].value.split("\n")[1],
+      "[Open thread](https://discord.com/channels/7/t1)"
+    );
+
+    const [previous, next] = components[0].components.map(
+      (button) => button.data
+    );
+    assert.equal(previous.disabled, true);
+    assert.equal(next.custom_id, "search:42:1");
+  });
+
+  test("clamps the page to the results", () => {
+    const { embeds, components } = buildSearchPage(matches, 9, context);
+    assert.equal(embeds[0].data.footer.text, "Page 3/3");
+    assert.equal(embeds[0].data.fields.length, 2);
+    assert.equal(components[0].components[1].data.disabled, true);
+  });
+});
+
+describe("parseSearchAction", () => {
+  test("reads the search and page of a button", () => {
+    assert.deepEqual(parseSearchAction("search:42:3"), {
+      searchId: "42",
+      page: 3,
+    });
+    assert.equal(parseSearchAction("review:approve"), null);
+  });
+});
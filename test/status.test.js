@@ -0,0 +1,105 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCheckState,
+  buildStatusField,
+  buildStatusEmbeds,
+} = require("../src/status");
+
+const EARLIER = new Date("2024-05-01T10:00:00.000Z");
+const LATER = new Date("2024-05-01T11:00:00.000Z");
+
+function createStatus(overrides = {}) {
+  return {
+    formId: "form1",
+    title: "Grant Applications",
+    form: { forum: "123", tag: "Grants" },
+    check: { lastSuccessAt: LATER, lastError: null },
+    tracked: 12,
+    failed: 0,
+    retryable: 0,
+    nextRun: new Date("2024-05-02T10:00:00.000Z"),
+    running: false,
+    ...overrides,
+  };
+}
+
+describe("getCheckState", () => {
+  test("is failing until a check succeeds after the error", () => {
+    const error = { message: "Forbidden", at: LATER };
+    assert.equal(getCheckState(null), "unchecked");
+    assert.equal(
+      getCheckState({ lastSuccessAt: EARLIER, lastError: error }),
+      "failing"
+    );
+    assert.equal(
+      getCheckState({
+        lastSuccessAt: LATER,
+        lastError: { ...error, at: EARLIER },
+      }),
+      "ok"
+    );
+  });
+});
+
+describe("buildStatusField", () => {
+  test("lists the form's forum, checks and queue", () => {
+    const { name, value } = buildStatusField(
+      createStatus({ failed: 3, retryable: 2 })
+    );
+
+    assert.equal(name, "✅ Grant Applications");
+    assert.deepEqual(value.split("\n"), [
+      "`form1` → <#123> [Grants]",
+      "**Last successful check:** <t:1714561200:R>",
+      "**Last error:** none",
+      "**Tracked responses:** 12",
+      "**Failed deliveries:** 3 (2 to retry)",
+      "**Next check:** <t:1714644000:R>",
+    ]);
+  });
+
+  test("shows the last error of a form never checked successfully", () => {
+    const { name, value } = buildStatusField(
+      createStatus({
+        check: {
+          lastSuccessAt: null,
+          lastError: { message: "Form not found", at: EARLIER },
+        },
+        running: true,
+      })
+    );
+
+    assert.equal(name, "⚠️ Grant Applications");
+    assert.match(value, /Last successful check:\*\* none since the bot/);
+    assert.match(value, /Last error:\*\* <t:1714557600:R> Form not found/);
+    assert.match(value, /Next check:\*\* running now/);
+  });
+});
+
+describe("buildStatusEmbeds", () => {
+  test("splits many forms over several embeds", () => {
+    const statuses = Array.from({ length: 12 }, (_, index) =>
+      createStatus({ formId: `form${index}` })
+    );
+    const embeds = buildStatusEmbeds(statuses).map((embed) => embed.data);
+
+    assert.deepEqual(
+      embeds.map((embed) => [embed.title, embed.fields.length]),
+      [
+        ["Form status (1/2)", 10],
+        ["Form status (2/2)", 2],
+      ]
+    );
+  });
+
+  test("turns red when a form is failing", () => {
+    const [embed] = buildStatusEmbeds([
+      createStatus(),
+      createStatus({
+        check: { lastSuccessAt: null, lastError: { message: "x", at: LATER } },
+      }),
+    ]);
+    assert.equal(embed.data.color, 0xe74c3c);
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { createResponseStore } = require("../src/storage");
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "forms-bot-store-"));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe("JsonResponseStore", () => {
+  test("writes concurrent saves one after another", async () => {
+    const filePath = path.join(tempDir, "responses.json");
+    const errors = [];
+    const store = await createResponseStore("json", {
+      filePath,
+      logger: {
+        info: () => {},
+        warn: () => {},
+        error: (message) => errors.push(message),
+      },
+    });
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        store.saveResponse("form1", {
+          responseId: `r${index}`,
+          lastSubmittedTime: null,
+          threadId: null,
+          response: { responseId: `r${index}` },
+        })
+      )
+    );
+
+    assert.deepEqual(errors, []);
+    const track = JSON.parse(await fs.readFile(filePath, "utf8"));
+    assert.equal(track.form1.responses.length, 20);
+    assert.deepEqual(await fs.readdir(tempDir), ["responses.json"]);
+  });
+});